@@ -0,0 +1,102 @@
+/**
+ * Channel Aliases Helper
+ *
+ * aliases.json remembers the ids of channel files that were merged into
+ * another one (see scripts/dedupe.js), so links to the old id keep working:
+ *
+ *   {
+ *     "wion-adaptive": "wion"
+ *   }
+ *
+ * - The query API resolves an alias when no file has the requested id
+ * - assignIds never hands a retired id to a new channel
+ * - validate.js reports aliases whose target is missing or that shadow a file
+ *
+ * Aliases always point at a live id: merging a channel that is itself an
+ * alias target repoints its aliases too.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const { ALIASES_FILE, readJson, writeJson } = require('./channel-store')
+
+// Parsed files, by path
+const loaded = new Map()
+
+/**
+ * Load the aliases file
+ * @param {string} file - Aliases file (default: aliases.json)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.reload] - Re-read a file loaded before
+ * @returns {Object<string, string>} - Target id by retired id (empty when the
+ *   file does not exist)
+ */
+function loadAliases(file = ALIASES_FILE, options = {}) {
+  if (options.reload || !loaded.has(file)) {
+    loaded.set(file, fs.existsSync(file) ? readJson(file) : {})
+  }
+  return loaded.get(file)
+}
+
+/**
+ * Resolve a channel id through the aliases
+ * @param {string} id - Channel id
+ * @param {Object<string, string>} aliases - Target id by retired id
+ * @returns {string} - Target id (the id itself when it is not an alias)
+ */
+function resolveAlias(id, aliases) {
+  const seen = new Set()
+  let current = id
+  while (Object.hasOwn(aliases, current) && !seen.has(current)) {
+    seen.add(current)
+    current = aliases[current]
+  }
+  return current
+}
+
+/**
+ * Record that channels were merged into another one
+ * @param {Object<string, string>} aliases - Current aliases
+ * @param {string[]} retiredIds - Ids of the removed channel files
+ * @param {string} targetId - Id of the channel they were merged into
+ * @returns {Object<string, string>} - New aliases (earlier aliases of the
+ *   retired ids now point at targetId; an alias named targetId is dropped)
+ */
+function addAliases(aliases, retiredIds, targetId) {
+  const updated = {}
+  Object.entries(aliases).forEach(([id, target]) => {
+    if (id !== targetId) {
+      updated[id] = retiredIds.includes(target) ? targetId : target
+    }
+  })
+  retiredIds
+    .filter((id) => id !== targetId)
+    .forEach((id) => {
+      updated[id] = targetId
+    })
+  return updated
+}
+
+/**
+ * Write the aliases file (sorted by retired id)
+ * @param {Object<string, string>} aliases - Target id by retired id
+ * @param {string} file - Aliases file (default: aliases.json)
+ */
+function writeAliases(aliases, file = ALIASES_FILE) {
+  const sorted = {}
+  Object.keys(aliases)
+    .sort()
+    .forEach((id) => {
+      sorted[id] = aliases[id]
+    })
+  writeJson(file, sorted)
+  loaded.set(file, sorted)
+}
+
+module.exports = {
+  loadAliases,
+  resolveAlias,
+  addAliases,
+  writeAliases,
+}
@@ -0,0 +1,319 @@
+/**
+ * Channel Category Helper
+ *
+ * Category ids used for the `categoryId` and `categories` fields of channel
+ * records, and the scored classifier that assigns them. Every signal adds
+ * its weight to a category:
+ * - Playlist group-title / #EXTGRP ("News;Entertainment")
+ * - Name patterns ("Star Sports 1 HD" → sports)
+ * - tvgId words ("StarSports1.in@HD" → "star sports 1"), used when the name
+ *   does not match, e.g. for names in Indic scripts
+ * - An overrides.json entry with a category (see helpers/overrides.js),
+ *   which replaces the score entirely
+ *
+ * The highest score is the primary categoryId (ties go to the more specific
+ * category, so the result does not depend on rule order). Other categories
+ * with a strong enough score become secondary categories.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+// Every valid categoryId ("regional" is only assigned by override, "general"
+// is the default)
+const CATEGORIES = [
+  'news',
+  'sports',
+  'kids',
+  'music',
+  'movies',
+  'devotional',
+  'documentary',
+  'lifestyle',
+  'entertainment',
+  'regional',
+  'general',
+]
+
+// Weight of a playlist group matching a category
+const GROUP_WEIGHT = 4
+
+// Minimum score for a category other than the primary one to be kept
+const SECONDARY_MIN_SCORE = 2
+
+// Playlist group names (iptv-org categories and our own ids) → category
+const GROUP_CATEGORIES = {
+  news: 'news',
+  business: 'news',
+  legislative: 'news',
+  weather: 'news',
+  sports: 'sports',
+  outdoor: 'sports',
+  kids: 'kids',
+  animation: 'kids',
+  music: 'music',
+  movies: 'movies',
+  classic: 'movies',
+  religious: 'devotional',
+  devotional: 'devotional',
+  documentary: 'documentary',
+  science: 'documentary',
+  lifestyle: 'lifestyle',
+  cooking: 'lifestyle',
+  travel: 'lifestyle',
+  relax: 'lifestyle',
+  auto: 'lifestyle',
+  shop: 'lifestyle',
+  entertainment: 'entertainment',
+  comedy: 'entertainment',
+  family: 'entertainment',
+  series: 'entertainment',
+  culture: 'entertainment',
+  regional: 'regional',
+  general: 'general',
+}
+
+// Name patterns. Genre words weigh 3, channel brands 2 and network names
+// that carry every genre ("Zee", "Star", "Sony") only 1, so "Zee News" is
+// news and "Star Sports" is sports.
+const CATEGORY_RULES = [
+  { category: 'news', weight: 3, pattern: /\bnews\b|khabar|samachar/i },
+  {
+    category: 'news',
+    weight: 2,
+    pattern:
+      /aaj tak|\babp\b|ndtv|india today|india tv|times now|republic|wion|mirror now|\btv9\b|\btv5\b|\bntv\b|\bcnbc\b|\bet now\b|business|\bbarta\b|24x7|ghanta|\btaas\b|sansad|thanthi|thalaimurai|reporter/i,
+  },
+  {
+    category: 'sports',
+    weight: 3,
+    pattern: /sports?\b|cricket|football|tennis|fifa/i,
+  },
+  { category: 'sports', weight: 2, pattern: /espn|\bten \d\b|\bchakde\b/i },
+  {
+    category: 'kids',
+    weight: 3,
+    pattern: /\bkids\b|cartoon|animation/i,
+  },
+  {
+    category: 'kids',
+    weight: 2,
+    pattern:
+      /pogo|\bnick\b|nickelodeon|disney|hungama|\byay\b|animax|gubbare|chutti|sonic/i,
+  },
+  { category: 'music', weight: 3, pattern: /music|musix|tunes|\bhits\b/i },
+  {
+    category: 'music',
+    weight: 2,
+    pattern:
+      /\bmtv\b|9xm|jalwa|jhakaas|tashan|\bisai\b|sangeet|songdew|\bdhol\b|balle balle/i,
+  },
+  {
+    category: 'movies',
+    weight: 3,
+    pattern: /movies?\b|cinema|cineplex|\bfilm|flix|pictures/i,
+  },
+  {
+    category: 'movies',
+    weight: 2,
+    pattern: /bollywood|bollymovies|\bpix\b|\bgold\b|\bmax\b|filamchi/i,
+  },
+  {
+    category: 'devotional',
+    weight: 3,
+    pattern: /bhakti|bhakthi|bhajan|devotional|spiritual|gurbaani/i,
+  },
+  {
+    category: 'devotional',
+    weight: 2,
+    pattern:
+      /aastha|dharm|sanskar|satsang|\bgod\b|\bsvbc\b|angel tv|shalom|hope channel|madha tv|\bvedic\b|prarthana|salvation|harvest|jinvani|santvani|shekinah|nambikkai|divyavani|aradana|nireekshana|\bmercy\b|\bshubh|krsna|krishna/i,
+  },
+  {
+    category: 'documentary',
+    weight: 3,
+    pattern: /documentar|discovery|national geographic|nat geo|animal planet/i,
+  },
+  {
+    category: 'documentary',
+    weight: 2,
+    pattern: /history|bbc earth|safari|xplor/i,
+  },
+  {
+    category: 'lifestyle',
+    weight: 3,
+    pattern: /food|travel|lifestyle|fashion|living|health/i,
+  },
+  {
+    category: 'lifestyle',
+    weight: 2,
+    pattern: /abhiruchi|\bcafe\b|doctor|naaptol|\bkisan\b/i,
+  },
+  {
+    category: 'entertainment',
+    weight: 3,
+    pattern: /entertainment|manoranjan|comedy/i,
+  },
+  {
+    category: 'entertainment',
+    weight: 2,
+    pattern: /rishtey|dangal|&tv|\bsab\b|mastiii|romedy|starplus/i,
+  },
+  {
+    category: 'entertainment',
+    weight: 1,
+    pattern: /\b(zee|star|sony|colors|sun|etv|gemini|surya|suriya|jaya|raj)\b/i,
+  },
+]
+
+/**
+ * Turn a tvgId into words ("StarSports1.in@HD" → "Star Sports 1")
+ * @param {string} tvgId - Channel tvgId
+ * @returns {string} - Words of the channel part of the tvgId
+ */
+function tvgIdWords(tvgId) {
+  return String(tvgId || '')
+    .split('@')[0]
+    .replace(/\.[a-z]{2}$/i, '')
+    .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+    .replace(/([0-9])([A-Za-z])/g, '$1 $2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2')
+}
+
+/**
+ * Split a playlist group into category ids
+ * @param {string} group - group-title or #EXTGRP value ("News;Entertainment")
+ * @returns {string[]} - Known category ids, in playlist order
+ */
+function groupCategories(group) {
+  return String(group || '')
+    .split(/[;,/]/)
+    .map((name) => GROUP_CATEGORIES[name.trim().toLowerCase()])
+    .filter(Boolean)
+}
+
+/**
+ * Classify a channel
+ * @param {Object} channel - Channel record (name, tvgId, group, id)
+ * @param {Object} options - Options
+ * @param {Object|null} [options.override] - overrides.json entry of the
+ *   channel, from findOverride in helpers/overrides.js (used when it sets a
+ *   category)
+ * @returns {{categoryId: string, categories: string[], scores: Object<string, number>, signals: Object[]}}
+ *   categories lists every category of the channel, primary first; signals
+ *   record which source ("override", "group", "name", "tvgId") matched
+ */
+function classifyChannel(channel, options = {}) {
+  const override = options.override
+  if (override?.category) {
+    const categories = [
+      override.category,
+      ...(override.categories || []).filter(
+        (category) => category !== override.category,
+      ),
+    ]
+    return {
+      categoryId: override.category,
+      categories,
+      scores: {},
+      signals: [{ source: 'override', category: override.category }],
+    }
+  }
+
+  const scores = {}
+  const signals = []
+  const add = (category, weight, source, match) => {
+    scores[category] = (scores[category] || 0) + weight
+    signals.push({ source, category, weight, match })
+  }
+
+  new Set(groupCategories(channel.group)).forEach((category) => {
+    add(category, GROUP_WEIGHT, 'group', channel.group)
+  })
+
+  const name = String(channel.name || '')
+  const tvgIdText = tvgIdWords(channel.tvgId)
+  CATEGORY_RULES.forEach(({ category, weight, pattern }) => {
+    const nameMatch = name.match(pattern)
+    const tvgIdMatch = nameMatch ? null : tvgIdText.match(pattern)
+    if (nameMatch) {
+      add(category, weight, 'name', nameMatch[0])
+    } else if (tvgIdMatch) {
+      add(category, weight, 'tvgId', tvgIdMatch[0])
+    }
+  })
+
+  const ranked = Object.keys(scores).sort(
+    (a, b) =>
+      scores[b] - scores[a] || CATEGORIES.indexOf(a) - CATEGORIES.indexOf(b),
+  )
+  if (ranked.length === 0) {
+    return { categoryId: 'general', categories: ['general'], scores, signals }
+  }
+
+  const [categoryId, ...others] = ranked
+  return {
+    categoryId,
+    categories: [
+      categoryId,
+      ...others.filter((category) => scores[category] >= SECONDARY_MIN_SCORE),
+    ],
+    scores,
+    signals,
+  }
+}
+
+/**
+ * Determine a channel category from its name
+ * @param {string} channelName - TV channel name
+ * @returns {string} - Category id
+ */
+function determineCategory(channelName) {
+  return classifyChannel({ name: channelName }).categoryId
+}
+
+/**
+ * Get every category of a channel record
+ * @param {Object} channel - Channel record
+ * @returns {string[]} - categoryId followed by the secondary categories
+ */
+function channelCategories(channel) {
+  if (Array.isArray(channel.categories) && channel.categories.length > 0) {
+    return channel.categories
+  }
+  return channel.categoryId ? [channel.categoryId] : []
+}
+
+/**
+ * Apply a classification to a channel record
+ * @param {Object} channel - Channel record
+ * @param {{categoryId: string, categories: string[]}} result - Classification
+ * @returns {Object} - New record with categoryId set and categories placed
+ *   right after it (only when there are secondary categories)
+ */
+function applyCategories(channel, result) {
+  const updated = {}
+
+  Object.entries(channel).forEach(([key, value]) => {
+    if (key === 'categories') {
+      return
+    }
+    updated[key] = key === 'categoryId' ? result.categoryId : value
+    if (key === 'categoryId' && result.categories.length > 1) {
+      updated.categories = result.categories
+    }
+  })
+
+  return updated
+}
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_RULES,
+  GROUP_CATEGORIES,
+  tvgIdWords,
+  groupCategories,
+  classifyChannel,
+  determineCategory,
+  channelCategories,
+  applyCategories,
+}
@@ -0,0 +1,434 @@
+/**
+ * Channel ID Helper
+ *
+ * Generates the slugs used as channel ids (tv/<id>.json):
+ * - Transliterates Indic scripts to Latin so names like "தமிழ்" do not
+ *   collapse to an empty id
+ * - Detects collisions across a whole playlist and breaks them
+ *   deterministically: tvgId quality suffix, then country, then a counter
+ * - Keeps ids that already exist in tv/ stable across runs, including for
+ *   entries that were merged into another channel (aliases.json)
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const { loadAliases } = require('./aliases')
+const { channelPath, listChannelIds, readJson } = require('./channel-store')
+
+// Start of each Unicode block that follows the shared ISCII layout
+const INDIC_BLOCKS = {
+  devanagari: 0x0900,
+  bengali: 0x0980,
+  gurmukhi: 0x0a00,
+  gujarati: 0x0a80,
+  odia: 0x0b00,
+  tamil: 0x0b80,
+  telugu: 0x0c00,
+  kannada: 0x0c80,
+  malayalam: 0x0d00,
+}
+
+// Scripts that drop the inherent "a" at the end of a word ("तमिल" → "tamil")
+const SCHWA_DELETING_SCRIPTS = [
+  'devanagari',
+  'bengali',
+  'gurmukhi',
+  'gujarati',
+  'odia',
+]
+
+// Independent vowels and signs, keyed by their Devanagari form
+const INDIC_SIGNS = {
+  'ँ': 'n',
+  'ं': 'n',
+  'ः': 'h',
+  अ: 'a',
+  आ: 'aa',
+  इ: 'i',
+  ई: 'ii',
+  उ: 'u',
+  ऊ: 'uu',
+  ऋ: 'ri',
+  ऌ: 'li',
+  ऍ: 'e',
+  ऎ: 'e',
+  ए: 'e',
+  ऐ: 'ai',
+  ऑ: 'o',
+  ऒ: 'o',
+  ओ: 'o',
+  औ: 'au',
+}
+
+// Consonants (without the inherent vowel), keyed by their Devanagari form
+const INDIC_CONSONANTS = {
+  क: 'k',
+  ख: 'kh',
+  ग: 'g',
+  घ: 'gh',
+  ङ: 'ng',
+  च: 'ch',
+  छ: 'chh',
+  ज: 'j',
+  झ: 'jh',
+  ञ: 'ny',
+  ट: 't',
+  ठ: 'th',
+  ड: 'd',
+  ढ: 'dh',
+  ण: 'n',
+  त: 't',
+  थ: 'th',
+  द: 'd',
+  ध: 'dh',
+  न: 'n',
+  ऩ: 'n',
+  प: 'p',
+  फ: 'ph',
+  ब: 'b',
+  भ: 'bh',
+  म: 'm',
+  य: 'y',
+  र: 'r',
+  ऱ: 'r',
+  ल: 'l',
+  ळ: 'l',
+  ऴ: 'zh',
+  व: 'v',
+  श: 'sh',
+  ष: 'sh',
+  स: 's',
+  ह: 'h',
+  क़: 'q',
+  ख़: 'kh',
+  ग़: 'gh',
+  ज़: 'z',
+  ड़: 'r',
+  ढ़: 'rh',
+  फ़: 'f',
+  य़: 'y',
+}
+
+// Dependent vowel signs, keyed by their Devanagari form
+const INDIC_VOWEL_SIGNS = {
+  'ा': 'aa',
+  'ि': 'i',
+  'ी': 'ii',
+  'ु': 'u',
+  'ू': 'uu',
+  'ृ': 'ri',
+  'ॄ': 'rri',
+  'ॅ': 'e',
+  'ॆ': 'e',
+  'े': 'e',
+  'ै': 'ai',
+  'ॉ': 'o',
+  'ॊ': 'o',
+  'ो': 'o',
+  'ौ': 'au',
+}
+
+// Letters with no Devanagari counterpart
+const SCRIPT_SPECIFIC = {
+  'ੰ': 'n', // Gurmukhi tippi
+  ൺ: 'n', // Malayalam chillu letters
+  ൻ: 'n',
+  ർ: 'r',
+  ൽ: 'l',
+  ൾ: 'l',
+  ൿ: 'k',
+}
+
+const NUKTA = '\u093c'
+const VIRAMA = '\u094d'
+
+/**
+ * Locate a character in the Indic blocks
+ * @param {string} char - Single character
+ * @returns {{script: string, letter: string, digit: number|null}|null}
+ *   letter is the Devanagari character at the same position in the block
+ */
+function indicLetter(char) {
+  const code = char.codePointAt(0)
+  for (const [script, start] of Object.entries(INDIC_BLOCKS)) {
+    if (code >= start && code < start + 0x80) {
+      const offset = code - start
+      return {
+        script,
+        letter: String.fromCodePoint(INDIC_BLOCKS.devanagari + offset),
+        digit: offset >= 0x66 && offset <= 0x6f ? offset - 0x66 : null,
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Transliterate Indic scripts to Latin (other characters pass through)
+ * @param {string} text - Text in any script
+ * @returns {string} - Text with Indic characters replaced by Latin letters
+ */
+function transliterate(text) {
+  const chars = [...String(text || '')]
+  let output = ''
+
+  for (let i = 0; i < chars.length; i++) {
+    const current = indicLetter(chars[i])
+    if (SCRIPT_SPECIFIC[chars[i]] !== undefined) {
+      output += SCRIPT_SPECIFIC[chars[i]]
+      continue
+    }
+    if (!current) {
+      output += chars[i]
+      continue
+    }
+
+    const { script, letter, digit } = current
+
+    if (digit !== null) {
+      output += String(digit)
+    } else if (INDIC_CONSONANTS[letter] !== undefined) {
+      output += INDIC_CONSONANTS[letter]
+
+      // Skip nukta, then look at what follows the consonant
+      let j = i + 1
+      while (j < chars.length && indicLetter(chars[j])?.letter === NUKTA) {
+        j++
+      }
+      const following = j < chars.length ? indicLetter(chars[j]) : null
+
+      if (following && following.script === script) {
+        if (INDIC_VOWEL_SIGNS[following.letter] !== undefined) {
+          output += INDIC_VOWEL_SIGNS[following.letter]
+          j++
+        } else if (following.letter === VIRAMA) {
+          j++
+        } else {
+          output += 'a'
+        }
+      } else if (!SCHWA_DELETING_SCRIPTS.includes(script)) {
+        output += 'a'
+      }
+      i = j - 1
+    } else if (INDIC_SIGNS[letter] !== undefined) {
+      output += INDIC_SIGNS[letter]
+    } else if (INDIC_VOWEL_SIGNS[letter] !== undefined) {
+      output += INDIC_VOWEL_SIGNS[letter]
+    }
+    // Anything else (nukta, virama, length marks, punctuation) is dropped
+  }
+
+  return output
+}
+
+/**
+ * Turn a channel name into a slug
+ * @param {string} name - Channel name in any script
+ * @returns {string} - Slug of [a-z0-9-] (empty if nothing usable remains)
+ */
+function slugify(name) {
+  return transliterate(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+}
+
+/**
+ * Split a tvgId into its parts
+ * @param {string} tvgId - e.g. "AajTak.in@SD"
+ * @returns {{quality: string|null, country: string|null}} - e.g. { quality: "sd", country: "in" }
+ */
+function tvgIdParts(tvgId) {
+  const match = String(tvgId || '').match(
+    /^[^@]*?(?:\.([a-z]{2}))?(?:@(.+))?$/i,
+  )
+  return {
+    quality: match?.[2] ? match[2].toLowerCase() : null,
+    country: match?.[1] ? match[1].toLowerCase() : null,
+  }
+}
+
+/**
+ * Read the existing channel files that ids must stay stable for
+ * @param {string} tvDir - Channel directory
+ * @returns {Object[]} - Existing records ({ id, name, tvgId, streamUrl, urls });
+ *   urls lists the URLs of every source
+ */
+function readExistingChannels(tvDir) {
+  if (!tvDir || !fs.existsSync(tvDir)) {
+    return []
+  }
+  return listChannelIds(tvDir).map((id) => {
+    try {
+      const {
+        name,
+        tvgId,
+        streamUrl,
+        sources = [],
+      } = readJson(channelPath(id, tvDir))
+      return {
+        id,
+        name,
+        tvgId,
+        streamUrl,
+        urls: sources.map((source) => source.url),
+      }
+    } catch {
+      return { id }
+    }
+  })
+}
+
+/**
+ * Create a lookup of the existing channel file a playlist entry belongs to
+ * @param {string} tvDir - Directory with existing channel files
+ * @returns {function(Object): (string|null)} - Id of the file whose streamUrl
+ *   or sources contain the entry's streamUrl, null for new entries
+ */
+function existingFileLookup(tvDir) {
+  const byUrl = new Map()
+  readExistingChannels(tvDir).forEach((record) => {
+    ;[record.streamUrl, ...(record.urls || [])]
+      .filter((url) => url && !byUrl.has(url))
+      .forEach((url) => {
+        byUrl.set(url, record.id)
+      })
+  })
+  return (entry) => byUrl.get(entry.streamUrl) || null
+}
+
+/**
+ * Assign collision-free ids to every channel of a playlist
+ *
+ * 1. A channel keeps the id of the existing tv/ file it corresponds to
+ *    (same tvgId and name, else same streamUrl, else a tvgId unique on both
+ *    sides, else its streamUrl among the file's sources). The last case lets
+ *    several entries share the id of a file they were merged into.
+ * 2. Remaining channels get the slug of their name; when the slug is taken or
+ *    shared, it is extended with the tvgId quality suffix, then the country,
+ *    then a counter. Order inside a group is deterministic (SD before HD,
+ *    then tvgId, then streamUrl), so reruns produce the same ids. Retired ids
+ *    (aliases.json) are never handed out again.
+ *
+ * @param {Object[]} channels - Parsed channels (name, tvgId, streamUrl)
+ * @param {Object} options - Options
+ * @param {string} [options.tvDir] - Directory with existing channel files
+ * @param {Object<string, string>} [options.aliases] - Retired ids (default:
+ *   aliases.json)
+ * @returns {Object[]} - The same channels with `id` set
+ */
+function assignIds(channels, options = {}) {
+  const existing = readExistingChannels(options.tvDir)
+  const taken = new Set([
+    ...existing.map((record) => record.id),
+    ...Object.keys(options.aliases || loadAliases()),
+  ])
+  const claimed = new Set()
+
+  const countBy = (records, key) =>
+    records.reduce((acc, record) => {
+      if (record[key]) {
+        acc[record[key]] = (acc[record[key]] || 0) + 1
+      }
+      return acc
+    }, {})
+  const existingTvgIds = countBy(existing, 'tvgId')
+  const playlistTvgIds = countBy(channels, 'tvgId')
+
+  const findExisting = (channel) =>
+    existing.find(
+      (record) =>
+        !claimed.has(record.id) &&
+        record.tvgId &&
+        record.tvgId === channel.tvgId &&
+        record.name === channel.name,
+    ) ||
+    existing.find(
+      (record) =>
+        !claimed.has(record.id) &&
+        record.streamUrl &&
+        record.streamUrl === channel.streamUrl,
+    ) ||
+    existing.find(
+      (record) =>
+        !claimed.has(record.id) &&
+        record.tvgId &&
+        record.tvgId === channel.tvgId &&
+        existingTvgIds[record.tvgId] === 1 &&
+        playlistTvgIds[channel.tvgId] === 1,
+    ) ||
+    existing.find((record) => record.urls?.includes(channel.streamUrl))
+
+  // Step 1: stable ids for channels that already have a file
+  const pending = []
+  channels.forEach((channel) => {
+    const record = findExisting(channel)
+    if (record) {
+      channel.id = record.id
+      claimed.add(record.id)
+    } else {
+      pending.push(channel)
+    }
+  })
+
+  // Step 2: group the rest by slug and resolve collisions
+  const groups = new Map()
+  pending.forEach((channel) => {
+    const base = slugify(channel.name) || 'channel'
+    if (!groups.has(base)) {
+      groups.set(base, [])
+    }
+    groups.get(base).push(channel)
+  })
+
+  const qualityRank = (channel) => {
+    const { quality } = tvgIdParts(channel.tvgId)
+    return !quality || quality === 'sd' ? 0 : 1
+  }
+
+  groups.forEach((group, base) => {
+    group.sort(
+      (a, b) =>
+        qualityRank(a) - qualityRank(b) ||
+        String(a.tvgId).localeCompare(String(b.tvgId)) ||
+        String(a.streamUrl).localeCompare(String(b.streamUrl)),
+    )
+
+    group.forEach((channel) => {
+      const { quality, country } = tvgIdParts(channel.tvgId)
+      const candidates = [base]
+      if (quality && !base.endsWith(`-${quality}`)) {
+        candidates.push(`${base}-${quality}`)
+      }
+      if (country) {
+        candidates.push(`${base}-${country}`)
+        if (quality && !base.endsWith(`-${quality}`)) {
+          candidates.push(`${base}-${country}-${quality}`)
+        }
+      }
+
+      let id = candidates.find((candidate) => !taken.has(candidate))
+      for (let counter = 2; !id; counter++) {
+        if (!taken.has(`${base}-${counter}`)) {
+          id = `${base}-${counter}`
+        }
+      }
+
+      channel.id = id
+      taken.add(id)
+    })
+  })
+
+  return channels
+}
+
+module.exports = {
+  transliterate,
+  slugify,
+  tvgIdParts,
+  existingFileLookup,
+  assignIds,
+}
@@ -0,0 +1,125 @@
+/**
+ * Channel Store Helper
+ *
+ * Shared file access for the per-channel records in tv/:
+ * - Listing channel ids from tv/*.json
+ * - Reading a single channel or the whole catalog
+ * - Writing a channel back in the repo's JSON format
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const ROOT_DIR = path.join(__dirname, '..')
+const TV_DIR = path.join(ROOT_DIR, 'tv')
+const LANGUAGE_DIR = path.join(TV_DIR, 'language')
+const COUNTRY_DIR = path.join(TV_DIR, 'country')
+const CATEGORY_DIR = path.join(TV_DIR, 'category')
+const MOVIES_DIR = path.join(ROOT_DIR, 'youtube-movies')
+const EPG_DIR = path.join(ROOT_DIR, 'epg')
+// Consolidated playlist output of m3u-to-json.js
+const CHANNELS_FILE = path.join(ROOT_DIR, 'data', 'channels.json')
+// Manual corrections by channel id or tvgId (see helpers/overrides.js)
+const OVERRIDES_FILE = path.join(ROOT_DIR, 'overrides.json')
+// Retired channel id → id it was merged into (see helpers/aliases.js)
+const ALIASES_FILE = path.join(ROOT_DIR, 'aliases.json')
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Absolute path to the file
+ * @returns {*} - Parsed JSON content
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+}
+
+/**
+ * Write JSON with 2-space indentation and a trailing newline
+ * @param {string} filePath - Absolute path to the file
+ * @param {*} data - Data to serialize
+ */
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf-8')
+}
+
+/**
+ * List channel ids from the tv/ directory
+ * @param {string} tvDir - Directory holding channel files (default: tv/)
+ * @returns {string[]} - Sorted channel ids
+ */
+function listChannelIds(tvDir = TV_DIR) {
+  return fs
+    .readdirSync(tvDir)
+    .filter((file) => file.endsWith('.json') && file !== '_meta.json')
+    .map((file) => path.basename(file, '.json'))
+    .sort()
+}
+
+/**
+ * Resolve the file path of a channel record
+ * @param {string} id - Channel id
+ * @param {string} tvDir - Directory holding channel files (default: tv/)
+ * @returns {string} - Absolute file path
+ */
+function channelPath(id, tvDir = TV_DIR) {
+  return path.join(tvDir, `${id}.json`)
+}
+
+/**
+ * Read a single channel record
+ * @param {string} id - Channel id
+ * @param {string} tvDir - Directory holding channel files (default: tv/)
+ * @returns {Object|null} - Channel record or null if the file does not exist
+ */
+function readChannel(id, tvDir = TV_DIR) {
+  const filePath = channelPath(id, tvDir)
+  if (!fs.existsSync(filePath)) {
+    return null
+  }
+  return readJson(filePath)
+}
+
+/**
+ * Read every channel record in the tv/ directory
+ * @param {string} tvDir - Directory holding channel files (default: tv/)
+ * @returns {Object[]} - Channel records sorted by id
+ */
+function readAllChannels(tvDir = TV_DIR) {
+  return listChannelIds(tvDir).map((id) => readJson(channelPath(id, tvDir)))
+}
+
+/**
+ * Write a channel record back to tv/<id>.json
+ * @param {Object} channel - Channel record (must have an id)
+ * @param {string} tvDir - Directory holding channel files (default: tv/)
+ */
+function writeChannel(channel, tvDir = TV_DIR) {
+  writeJson(channelPath(channel.id, tvDir), channel)
+}
+
+module.exports = {
+  // Paths
+  ROOT_DIR,
+  TV_DIR,
+  LANGUAGE_DIR,
+  COUNTRY_DIR,
+  CATEGORY_DIR,
+  MOVIES_DIR,
+  EPG_DIR,
+  CHANNELS_FILE,
+  OVERRIDES_FILE,
+  ALIASES_FILE,
+
+  // JSON utilities
+  readJson,
+  writeJson,
+
+  // Channel files
+  listChannelIds,
+  channelPath,
+  readChannel,
+  readAllChannels,
+  writeChannel,
+}
@@ -0,0 +1,201 @@
+/**
+ * Country Helper
+ *
+ * Derives the ISO 3166-1 alpha-2 country of a channel (stored lowercase, like
+ * the playlist file names and tvgIds it comes from), first match wins:
+ * - tvgId feed naming a country ("ZeeBollymovies.in@Australia" → "au")
+ * - Channel name ending in a country ("Harvest USA" → "us")
+ * - tvgId country suffix ("AajTak.in@SD" → "in")
+ * - Source playlist file ("in.m3u", "us_pluto.m3u" → "in", "us")
+ *
+ * A feed or name ending in a region ("AngelTV.in@Europe", "Zee Cinema APAC")
+ * means the channel targets no single country: it gets none, rather than the
+ * country of the broadcaster's tvgId suffix.
+ *
+ * Country names come from Intl.DisplayNames, so no code table is shipped.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const path = require('path')
+const { tvgIdParts } = require('./channel-id')
+const { nameTokens } = require('./fuzzy')
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+// Codes used by playlists that are not ISO 3166-1 alpha-2
+const COUNTRY_ALIASES = {
+  uk: 'gb',
+}
+
+// Country words in channel names that are not English country names
+const COUNTRY_WORDS = {
+  usa: 'us',
+  uk: 'gb',
+  uae: 'ae',
+}
+
+// Feeds and name endings that cover several countries
+const REGIONS = [
+  'africa',
+  'america',
+  'americas',
+  'north america',
+  'latin america',
+  'apac',
+  'arabia',
+  'asia',
+  'europe',
+  'far east',
+  'global',
+  'indo china',
+  'mena',
+  'middle east',
+]
+
+// Lazily built English name → code map for feed names
+let countriesByName = null
+
+/**
+ * Normalize a country code
+ * @param {string} code - Two-letter code in any case (aliases such as "uk" allowed)
+ * @returns {string|null} - Lowercase ISO 3166-1 alpha-2 code or null if unknown
+ */
+function normalizeCountryCode(code) {
+  const lower = String(code || '')
+    .trim()
+    .toLowerCase()
+  const normalized = COUNTRY_ALIASES[lower] || lower
+  if (!/^[a-z]{2}$/.test(normalized)) {
+    return null
+  }
+
+  const upper = normalized.toUpperCase()
+  const name = regionNames.of(upper)
+  return name && name !== upper && name !== 'Unknown Region' ? normalized : null
+}
+
+/**
+ * Get the English name of a country
+ * @param {string} code - Country code
+ * @returns {string|null} - e.g. "India" or null if unknown
+ */
+function countryName(code) {
+  const normalized = normalizeCountryCode(code)
+  return normalized ? regionNames.of(normalized.toUpperCase()) : null
+}
+
+/**
+ * Find the code of a country from its English name
+ * @param {string} name - Country name (e.g., "Australia")
+ * @returns {string|null} - Lowercase code or null if the name is not a country
+ */
+function countryFromName(name) {
+  if (!countriesByName) {
+    countriesByName = new Map()
+    for (let first = 65; first <= 90; first++) {
+      for (let second = 65; second <= 90; second++) {
+        const code = String.fromCharCode(first, second).toLowerCase()
+        if (normalizeCountryCode(code) === code) {
+          countriesByName.set(countryName(code).toLowerCase(), code)
+        }
+      }
+    }
+  }
+  return countriesByName.get(String(name || '').toLowerCase()) || null
+}
+
+/**
+ * Find the place named by a feed or by the last words of a channel name
+ * @param {string[]} words - Lowercase words (e.g., ["harvest", "usa"])
+ * @returns {{country: string|null}|null} - The country (null for a region),
+ *   or null when the words end in no place
+ */
+function placeFromWords(words) {
+  // "News State UP & UK": a list of places, not a country feed
+  const last = words.length - 1
+  if (words[last - 1] === 'and') {
+    return null
+  }
+  for (let length = Math.min(3, words.length); length >= 1; length--) {
+    const phrase = words.slice(-length).join(' ')
+    if (REGIONS.includes(phrase)) {
+      return { country: null }
+    }
+    const country = COUNTRY_WORDS[phrase] || countryFromName(phrase)
+    if (country) {
+      return { country }
+    }
+  }
+  return null
+}
+
+/**
+ * Get the country a playlist file covers
+ * @param {string} filePath - Playlist path (e.g., "data/iptv/streams/in.m3u")
+ * @returns {string|null} - Country code from the file name prefix
+ */
+function countryFromFile(filePath) {
+  const match = path
+    .basename(String(filePath || ''))
+    .toLowerCase()
+    .match(/^([a-z]{2})(?:[_.-]|$)/)
+  return match ? normalizeCountryCode(match[1]) : null
+}
+
+/**
+ * Find the place a channel targets from its tvgId and name
+ * @param {string} tvgId - e.g. "AngelTV.in@Europe"
+ * @param {string} [name] - Channel name (e.g., "Harvest USA")
+ * @returns {{country: string|null}|null} - Feed place, else name place, else
+ *   the tvgId country suffix; null when none of them names a place
+ */
+function channelPlace(tvgId, name) {
+  const feed = String(tvgId || '').split('@')[1]
+  // "FarEast" → ["far", "east"]
+  const feedPlace = feed
+    ? placeFromWords(
+        feed
+          .replace(/([a-z])([A-Z])/g, '$1 $2')
+          .toLowerCase()
+          .split(/\s+/),
+      )
+    : null
+  const namePlace = placeFromWords(nameTokens(name))
+  const suffix = normalizeCountryCode(tvgIdParts(tvgId).country)
+  return feedPlace || namePlace || (suffix ? { country: suffix } : null)
+}
+
+/**
+ * Get the country of a tvgId
+ * @param {string} tvgId - e.g. "ZeeBollymovies.in@Australia"
+ * @param {string} [name] - Channel name, checked for a country or region
+ *   before the tvgId suffix
+ * @returns {string|null} - Feed or name country, else the tvgId country
+ *   suffix; null for region feeds and names ("AngelTV.in@Europe")
+ */
+function countryFromTvgId(tvgId, name) {
+  return channelPlace(tvgId, name)?.country || null
+}
+
+/**
+ * Derive the country of a playlist entry
+ * @param {string} tvgId - Entry tvgId
+ * @param {string} [filePath] - Playlist the entry came from
+ * @param {string} [name] - Entry name
+ * @returns {string|null} - Country code or null if no source names one (or
+ *   the tvgId or name names a region)
+ */
+function deriveCountry(tvgId, filePath, name) {
+  const place = channelPlace(tvgId, name)
+  return place ? place.country : countryFromFile(filePath)
+}
+
+module.exports = {
+  normalizeCountryCode,
+  countryName,
+  countryFromName,
+  countryFromFile,
+  countryFromTvgId,
+  deriveCountry,
+}
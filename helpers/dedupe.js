@@ -0,0 +1,278 @@
+/**
+ * Duplicate Channel Helper
+ *
+ * Finds channel files that describe the same channel and merges them into one
+ * record with several sources (see scripts/dedupe.js). Two channels are
+ * linked when they share:
+ *
+ * - stream-url: a stream URL (streamUrl or any source)
+ * - tvgId: the same tvgId ("WION.in@SD")
+ * - tvgId-base: the same tvgId with another quality feed ("StarGold.in@SD"
+ *   and "StarGold.in@HD"); regional feeds such as "AngelTV.in@Africa" are
+ *   separate channels
+ * - name: a similar name, scored by the fuzzy matcher (helpers/fuzzy.js);
+ *   channels whose tvgIds have different bases are never linked on their
+ *   names alone ("SuriyaTV.in" / "SuriyanTV.in"), as in mergeByTvgId
+ *
+ * Linked channels form groups; every link is kept as a reason so a group
+ * can be reviewed before it is merged. URL and tvgId links are strong
+ * evidence, name links alone usually are not ("Star Gold" / "Star Gold 2").
+ * A group whose channels have different detected languages is flagged with
+ * a conflict and never merged: those are language feeds of one brand
+ * ("HistoryTV18.in@HD" in English and in Hindi), not copies of one channel.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const { tvgIdParts } = require('./channel-id')
+const { createMatcher, tvgIdBase } = require('./fuzzy')
+const { channelSources, rankSources } = require('./sources')
+
+// Configuration
+const CONFIG = {
+  threshold: 0.9, // Minimum fuzzy score of a tvgId-base or name link
+  // Fields copied from merged channels when the kept channel lacks them
+  fillFields: ['logo', 'tvgId', 'country', 'categoryId', 'categories'],
+  // tvgId feeds that only differ in quality
+  qualityFeeds: ['sd', 'hd', 'fhd', 'uhd', '4k'],
+}
+
+// Strongest evidence first
+const REASONS = ['stream-url', 'tvgId', 'tvgId-base', 'name']
+
+/**
+ * Check whether a tvgId names a quality feed (or no feed at all)
+ * @param {string} tvgId - e.g. "StarGold.in@HD"
+ * @returns {boolean}
+ */
+function isQualityFeed(tvgId) {
+  const { quality } = tvgIdParts(tvgId)
+  return !quality || CONFIG.qualityFeeds.includes(quality)
+}
+
+/**
+ * Check whether channels disagree on their language
+ * @param {Object[]} channels - Channel records
+ * @returns {string|null} - e.g. "languages differ (english, hindi)", null
+ *   when at most one language is known ("unknown" does not count)
+ */
+function languageConflict(channels) {
+  const languages = [
+    ...new Set(
+      channels
+        .map((channel) => channel.language)
+        .filter((language) => language && language !== 'unknown'),
+    ),
+  ].sort()
+  return languages.length > 1
+    ? `languages differ (${languages.join(', ')})`
+    : null
+}
+
+/**
+ * Find groups of duplicate channels
+ * @param {Object[]} channels - Channel records
+ * @param {Object} options - Detection options
+ * @param {number} [options.threshold] - Minimum fuzzy score of a tvgId-base
+ *   or name link (default: CONFIG.threshold)
+ * @returns {Array<{ids: string[], links: Array<{ids: string[], reason: string,
+ *   detail: string}>, conflict?: string}>} - Groups of at least two channels,
+ *   sorted by their first id; links are sorted strongest first, and conflict
+ *   is set when the channels have different languages (see languageConflict)
+ */
+function findDuplicateGroups(channels, options = {}) {
+  const threshold = options.threshold ?? CONFIG.threshold
+  const links = []
+
+  // Channels sharing a stream URL
+  const byUrl = new Map()
+  channels.forEach((channel) => {
+    channelSources(channel).forEach(({ url }) => {
+      if (!byUrl.has(url)) {
+        byUrl.set(url, new Set())
+      }
+      byUrl.get(url).add(channel.id)
+    })
+  })
+  byUrl.forEach((ids, url) => {
+    const [first, ...rest] = [...ids]
+    rest.forEach((id) => {
+      links.push({ ids: [first, id], reason: 'stream-url', detail: url })
+    })
+  })
+
+  // tvgId, tvgId base or name: each channel against its best earlier match
+  const matcher = createMatcher([], { threshold })
+  channels.forEach((channel) => {
+    const match = matcher.rank(channel).find(({ candidate, method }) => {
+      if (method === 'tvgId-base') {
+        return isQualityFeed(channel.tvgId) && isQualityFeed(candidate.tvgId)
+      }
+      if (method === 'name' && channel.tvgId && candidate.tvgId) {
+        return tvgIdBase(channel.tvgId) === tvgIdBase(candidate.tvgId)
+      }
+      return true
+    })
+    if (match) {
+      const { candidate, method, score } = match
+      links.push({
+        ids: [candidate.id, channel.id],
+        reason: method,
+        detail:
+          method === 'name'
+            ? `${candidate.name} ~ ${channel.name} (${score.toFixed(2)})`
+            : method === 'tvgId'
+              ? channel.tvgId
+              : `${candidate.tvgId} ~ ${channel.tvgId}`,
+      })
+    }
+    matcher.add(channel)
+  })
+
+  // Union-find over the links
+  const parent = new Map(channels.map((channel) => [channel.id, channel.id]))
+  const root = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)))
+      id = parent.get(id)
+    }
+    return id
+  }
+  links.forEach(({ ids: [a, b] }) => {
+    parent.set(root(a), root(b))
+  })
+
+  const groups = new Map()
+  channels.forEach((channel) => {
+    const key = root(channel.id)
+    if (!groups.has(key)) {
+      groups.set(key, { ids: [], links: [] })
+    }
+    groups.get(key).ids.push(channel.id)
+  })
+  links.forEach((link) => {
+    groups.get(root(link.ids[0])).links.push(link)
+  })
+
+  const byId = new Map(channels.map((channel) => [channel.id, channel]))
+  return [...groups.values()]
+    .filter((group) => group.ids.length > 1)
+    .map((group) => {
+      const conflict = languageConflict(group.ids.map((id) => byId.get(id)))
+      return {
+        ids: group.ids.sort(),
+        links: group.links.sort(
+          (a, b) => REASONS.indexOf(a.reason) - REASONS.indexOf(b.reason),
+        ),
+        ...(conflict ? { conflict } : {}),
+      }
+    })
+    .sort((a, b) => a.ids[0].localeCompare(b.ids[0]))
+}
+
+/**
+ * Pick the channel a group is merged into
+ *
+ * Active channels first, then those with a detected language, then the most
+ * sources, then the shortest id ("wion" over "wion-adaptive").
+ *
+ * @param {Object[]} channels - Channel records of one group
+ * @returns {Object} - Channel to keep
+ * @throws {Error} - When the channels have different languages
+ */
+function choosePrimary(channels) {
+  const conflict = languageConflict(channels)
+  if (conflict) {
+    throw new Error(
+      `${channels.map((channel) => channel.id).join(', ')}: ${conflict}`,
+    )
+  }
+  const rank = (channel) => [
+    channel.isActive === false ? 1 : 0,
+    !channel.language || channel.language === 'unknown' ? 1 : 0,
+    -channelSources(channel).length,
+    channel.id.length,
+  ]
+  return [...channels].sort((a, b) => {
+    const left = rank(a)
+    const right = rank(b)
+    const index = left.findIndex((value, i) => value !== right[i])
+    return index === -1 ? a.id.localeCompare(b.id) : left[index] - right[index]
+  })[0]
+}
+
+/**
+ * Merge channels into one record
+ *
+ * The kept channel keeps its id, name and other fields; the sources of every
+ * channel are ranked together (see rankSources) and streamUrl, quality and
+ * headers follow the new primary source. CONFIG.fillFields and a detected
+ * language are taken from the merged channels when the kept one lacks them.
+ * `sources` is only written when more than one URL is left.
+ *
+ * @param {Object} primary - Channel to keep
+ * @param {Object[]} others - Channels merged into it
+ * @returns {Object} - Merged record
+ * @throws {Error} - When the channels have different languages
+ */
+function mergeChannels(primary, others) {
+  const conflict = languageConflict([primary, ...others])
+  if (conflict) {
+    throw new Error(`Cannot merge into ${primary.id}: ${conflict}`)
+  }
+  const merged = { ...primary }
+
+  others.forEach((other) => {
+    CONFIG.fillFields.forEach((field) => {
+      if (merged[field] === undefined && other[field] !== undefined) {
+        merged[field] = other[field]
+      }
+    })
+    const unknown = !merged.language || merged.language === 'unknown'
+    if (unknown && other.language && other.language !== 'unknown') {
+      merged.language = other.language
+      if (other.languages) {
+        merged.languages = other.languages
+      } else {
+        delete merged.languages
+      }
+    }
+  })
+
+  const sources = rankSources(
+    [primary, ...others].flatMap((channel) =>
+      channelSources(channel).map(({ priority, ...source }) => source),
+    ),
+  )
+  if (sources.length > 1) {
+    merged.sources = sources
+  } else {
+    delete merged.sources
+  }
+  merged.streamUrl = sources[0].url
+  if (sources[0].quality) {
+    merged.quality = sources[0].quality
+  }
+  if (sources[0].headers) {
+    merged.headers = sources[0].headers
+  } else {
+    delete merged.headers
+  }
+  merged.isActive = [primary, ...others].some(
+    (channel) => channel.isActive !== false,
+  )
+  if (merged.isActive) {
+    delete merged.removedAt
+  }
+
+  return merged
+}
+
+module.exports = {
+  CONFIG,
+  REASONS,
+  languageConflict,
+  findDuplicateGroups,
+  choosePrimary,
+  mergeChannels,
+}
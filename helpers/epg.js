@@ -0,0 +1,164 @@
+/**
+ * EPG (XMLTV) Helper
+ *
+ * Utilities for programme guide data in XMLTV format:
+ * - Parsing <channel> and <programme> elements
+ * - XMLTV timestamp conversion ("20240101183000 +0530" → ISO 8601)
+ * - Matching XMLTV channels to channels by tvgId (tolerating @SD/@HD suffixes)
+ *   or display name
+ * - Now/next lookup over a programme list
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires cheerio - XML parsing
+ */
+
+const { createMatcher } = require('./fuzzy')
+
+/**
+ * Convert an XMLTV timestamp to ISO 8601
+ * @param {string} value - XMLTV time ("YYYYMMDDhhmmss +HHMM", offset optional)
+ * @returns {string|null} - ISO 8601 UTC timestamp or null if invalid
+ */
+function parseXmltvDate(value) {
+  const match = String(value || '')
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*([+-]\d{4})?$/)
+  if (!match) {
+    return null
+  }
+
+  const [, year, month, day, hour, minute, second = '00', offset = '+0000'] =
+    match
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${offset.slice(0, 3)}:${offset.slice(3)}`
+  const time = Date.parse(iso)
+
+  return Number.isNaN(time) ? null : new Date(time).toISOString()
+}
+
+/**
+ * Parse an XMLTV document
+ * @param {string} xml - XMLTV content
+ * @returns {{channels: Array<{id: string, names: string[]}>, programmes: Array<{channel: string, start: string, stop: string|null, title: string, description: string|null, categories: string[]}>}}
+ */
+function parseXmltv(xml) {
+  // Required here so the query API can use findNowNext without loading cheerio
+  const cheerio = require('cheerio')
+  const $ = cheerio.load(xml, { xmlMode: true })
+
+  const channels = $('tv > channel')
+    .map((_, el) => ({
+      id: $(el).attr('id'),
+      names: $(el)
+        .children('display-name')
+        .map((_, name) => $(name).text().trim())
+        .get()
+        .filter(Boolean),
+    }))
+    .get()
+    .filter((channel) => channel.id)
+
+  const programmes = $('tv > programme')
+    .map((_, el) => {
+      const $el = $(el)
+      return {
+        channel: $el.attr('channel'),
+        start: parseXmltvDate($el.attr('start')),
+        stop: parseXmltvDate($el.attr('stop')),
+        title: $el.children('title').first().text().trim(),
+        description: $el.children('desc').first().text().trim() || null,
+        categories: $el
+          .children('category')
+          .map((_, category) => $(category).text().trim())
+          .get()
+          .filter(Boolean),
+      }
+    })
+    .get()
+    .filter((programme) => programme.channel && programme.start)
+
+  return { channels, programmes }
+}
+
+/**
+ * Match channels to XMLTV channel ids
+ *
+ * Channels are looked up with the shared fuzzy matcher: by tvgId, by tvgId
+ * without its feed, then by channel name against the XMLTV display names.
+ *
+ * @param {Object[]} channels - Channel records with id, tvgId and name
+ * @param {Array<{id: string, names: string[]}>} epgChannels - Channels from
+ *   parseXmltv()
+ * @param {Object} options - Match options
+ * @param {number} [options.threshold] - Minimum match score (default:
+ *   CONFIG.threshold of helpers/fuzzy.js)
+ * @returns {{matches: Object<string, string>, details: Object<string,
+ *   {method: string, score: number}>, unmatched: Object[]}} - matches maps
+ *   channel id → XMLTV channel id, details tells how each match was made
+ */
+function matchChannels(channels, epgChannels, options = {}) {
+  const matcher = createMatcher(
+    epgChannels.map((channel) => ({
+      epgId: channel.id,
+      tvgId: channel.id,
+      names: channel.names,
+    })),
+    { threshold: options.threshold },
+  )
+
+  const matches = {}
+  const details = {}
+  const unmatched = []
+
+  channels.forEach((channel) => {
+    const match = matcher.best(channel)
+    if (match) {
+      matches[channel.id] = match.candidate.epgId
+      details[channel.id] = { method: match.method, score: match.score }
+    } else {
+      unmatched.push(channel)
+    }
+  })
+
+  return { matches, details, unmatched }
+}
+
+/**
+ * Find the current and next programme
+ * @param {Object[]} programmes - Programmes of one channel
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {{now: Object|null, next: Object|null}}
+ */
+function findNowNext(programmes, now = Date.now()) {
+  const sorted = [...programmes].sort(
+    (a, b) => Date.parse(a.start) - Date.parse(b.start),
+  )
+
+  const currentIndex = sorted.findIndex((programme, index) => {
+    const start = Date.parse(programme.start)
+    const stop = programme.stop
+      ? Date.parse(programme.stop)
+      : sorted[index + 1]
+        ? Date.parse(sorted[index + 1].start)
+        : Number.POSITIVE_INFINITY
+    return start <= now && now < stop
+  })
+
+  if (currentIndex !== -1) {
+    return {
+      now: sorted[currentIndex],
+      next: sorted[currentIndex + 1] || null,
+    }
+  }
+
+  return {
+    now: null,
+    next: sorted.find((programme) => Date.parse(programme.start) > now) || null,
+  }
+}
+
+module.exports = {
+  parseXmltvDate,
+  parseXmltv,
+  matchChannels,
+  findNowNext,
+}
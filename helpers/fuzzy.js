@@ -0,0 +1,267 @@
+/**
+ * Fuzzy Matching Helper
+ *
+ * Shared lookup of channel records by tvgId and name, used by logo
+ * assignment (helpers/logos.js), EPG mapping (helpers/epg.js), playlist
+ * merging (helpers/sources.js) and duplicate detection (helpers/dedupe.js):
+ *
+ * - tvgId: identical tvgIds ("AasthaTamil.in@SD" = "AasthaTamil.in@SD")
+ * - tvgId-base: same tvgId without its feed ("AasthaTamil.in@SD" and
+ *   "AasthaTamil.in@HD" are both "aasthatamil.in")
+ * - name: similar names once quality tags, punctuation and common suffixes
+ *   are removed ("Zee Tamil HD" and "Zee Tamil (720p)" are both "zee tamil",
+ *   "Sun TV" is "sun")
+ *
+ * A match reports the strongest of these methods together with a score
+ * between 0 and 1 (the best of the method's score and the name similarity).
+ * Callers decide how high a score they accept.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+// Configuration
+const CONFIG = {
+  threshold: 0.85, // Default minimum score of an accepted match
+  // Tokens removed from names before comparison
+  qualityTags: ['hd', 'sd', 'fhd', 'uhd', '4k', '8k', 'hevc', 'hdr'],
+  // Trailing words removed unless nothing else is left ("TV" alone stays)
+  suffixes: ['tv', 'channel', 'television', 'network', 'live'],
+  // Score of each method, before the name similarity is taken into account
+  scores: { tvgId: 1, 'tvgId-base': 0.95 },
+  // Multiplier for names whose numbers differ ("Star Sports 1" / "… 2")
+  numberMismatch: 0.75,
+}
+
+// Strongest evidence first
+const METHODS = ['tvgId', 'tvgId-base', 'name']
+
+/**
+ * Reduce a tvgId or XMLTV channel id to its base
+ * @param {string} id - e.g. "AajTak.in@SD"
+ * @returns {string} - e.g. "aajtak.in"
+ */
+function tvgIdBase(id) {
+  return String(id || '')
+    .replace(/@.*$/, '')
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Split a channel name into comparable tokens
+ * @param {string} name - e.g. "Sun TV HD (1080p) [Geo-blocked]"
+ * @returns {string[]} - e.g. ["sun"]
+ */
+function nameTokens(name) {
+  const tokens = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents, split off by NFKD
+    .toLowerCase()
+    .replace(/\(\d+[pi]\)|\[.*?\]/g, ' ')
+    .replace(/&/g, ' and ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token && !CONFIG.qualityTags.includes(token))
+    .filter((token) => !/^\d+[pi]$/.test(token))
+
+  let end = tokens.length
+  while (end > 1 && CONFIG.suffixes.includes(tokens[end - 1])) {
+    end--
+  }
+  return tokens.slice(0, end)
+}
+
+/**
+ * Normalize a channel name for comparison
+ * @param {string} name - e.g. "Zee Tamil HD"
+ * @returns {string} - Space separated tokens (e.g. "zee tamil")
+ */
+function normalizeName(name) {
+  return nameTokens(name).join(' ')
+}
+
+/**
+ * Precompute what nameSimilarity needs of a name
+ * @param {string} name - Channel name
+ * @returns {{tokens: Set<string>, compact: string, bigrams: Map<string, number>,
+ *   numbers: string}}
+ */
+function prepareName(name) {
+  const tokens = nameTokens(name)
+  const compact = tokens.join('')
+  const bigrams = new Map()
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.slice(i, i + 2)
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1)
+  }
+  return {
+    tokens: new Set(tokens),
+    compact,
+    bigrams,
+    numbers: tokens
+      .filter((token) => /^\d+$/.test(token))
+      .sort()
+      .join(' '),
+  }
+}
+
+/**
+ * Compare two prepared names
+ * @param {Object} left - From prepareName()
+ * @param {Object} right - From prepareName()
+ * @returns {number} - Similarity (0-1)
+ */
+function comparePrepared(left, right) {
+  if (!left.compact || !right.compact) {
+    return 0
+  }
+  if (left.compact === right.compact) {
+    return 1
+  }
+
+  // Dice coefficient of the token sets ("zee tamil" / "zee tamil news")
+  let sharedTokens = 0
+  left.tokens.forEach((token) => {
+    if (right.tokens.has(token)) {
+      sharedTokens++
+    }
+  })
+  const tokenScore = (2 * sharedTokens) / (left.tokens.size + right.tokens.size)
+
+  // Dice coefficient of the character bigrams ("aastha" / "astha")
+  let sharedBigrams = 0
+  right.bigrams.forEach((count, bigram) => {
+    sharedBigrams += Math.min(count, left.bigrams.get(bigram) || 0)
+  })
+  const bigramCount = left.compact.length - 1 + (right.compact.length - 1)
+  const bigramScore = bigramCount > 0 ? (2 * sharedBigrams) / bigramCount : 0
+
+  const score = Math.max(tokenScore, bigramScore)
+  return left.numbers === right.numbers ? score : score * CONFIG.numberMismatch
+}
+
+/**
+ * Compare two channel names
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - Similarity of the normalized names (0-1)
+ */
+function nameSimilarity(a, b) {
+  return comparePrepared(prepareName(a), prepareName(b))
+}
+
+/**
+ * Precompute the matchable fields of a record
+ * @param {Object} record - Channel, playlist entry or XMLTV channel (tvgId,
+ *   name and/or names)
+ * @returns {{tvgId: string, base: string, names: Object[]}}
+ */
+function prepareRecord(record) {
+  const names = [record.name, ...(record.names || [])].filter(Boolean)
+  return {
+    tvgId: record.tvgId || '',
+    base: tvgIdBase(record.tvgId),
+    names: names.map(prepareName),
+  }
+}
+
+/**
+ * Score two prepared records
+ * @param {Object} query - From prepareRecord()
+ * @param {Object} candidate - From prepareRecord()
+ * @returns {{method: string, score: number}|null} - Strongest method and best
+ *   score, null when nothing matches at all
+ */
+function scorePrepared(query, candidate) {
+  let method = null
+  if (query.tvgId && query.tvgId === candidate.tvgId) {
+    method = 'tvgId'
+  } else if (query.base && query.base === candidate.base) {
+    method = 'tvgId-base'
+  }
+
+  let nameScore = 0
+  query.names.forEach((left) => {
+    candidate.names.forEach((right) => {
+      nameScore = Math.max(nameScore, comparePrepared(left, right))
+    })
+  })
+
+  if (method) {
+    return { method, score: Math.max(CONFIG.scores[method], nameScore) }
+  }
+  return nameScore > 0 ? { method: 'name', score: nameScore } : null
+}
+
+/**
+ * Score a candidate record against a query record
+ * @param {Object} query - Record with tvgId, name and/or names
+ * @param {Object} candidate - Record with tvgId, name and/or names
+ * @returns {{method: string, score: number}|null}
+ */
+function scoreMatch(query, candidate) {
+  return scorePrepared(prepareRecord(query), prepareRecord(candidate))
+}
+
+/**
+ * Create a matcher over candidate records
+ *
+ * Candidates are prepared once, so one matcher can answer many queries.
+ *
+ * @param {Object[]} candidates - Records with tvgId, name and/or names
+ * @param {Object} options - Matcher options
+ * @param {number} [options.threshold] - Default minimum score
+ *   (default: CONFIG.threshold)
+ * @returns {{add: function(Object): void, rank: function(Object, Object=):
+ *   Array<{candidate: Object, method: string, score: number}>, best:
+ *   function(Object, Object=): ({candidate: Object, method: string, score:
+ *   number}|null)}} - rank lists the candidates scoring at least the
+ *   threshold (options: threshold, limit), best score first; ties go to the
+ *   stronger method, then to the earlier candidate
+ */
+function createMatcher(candidates = [], options = {}) {
+  const threshold = options.threshold ?? CONFIG.threshold
+  const prepared = []
+
+  const add = (candidate) => {
+    prepared.push({ candidate, record: prepareRecord(candidate) })
+  }
+
+  const rank = (query, rankOptions = {}) => {
+    const minimum = rankOptions.threshold ?? threshold
+    const record = prepareRecord(query)
+    const ranked = []
+    prepared.forEach((entry, index) => {
+      const match = scorePrepared(record, entry.record)
+      if (match && match.score >= minimum) {
+        ranked.push({ candidate: entry.candidate, ...match, index })
+      }
+    })
+
+    ranked.sort(
+      (a, b) =>
+        b.score - a.score ||
+        METHODS.indexOf(a.method) - METHODS.indexOf(b.method) ||
+        a.index - b.index,
+    )
+    return ranked
+      .slice(0, rankOptions.limit ?? ranked.length)
+      .map(({ index, ...match }) => match)
+  }
+
+  const best = (query, rankOptions = {}) =>
+    rank(query, { ...rankOptions, limit: 1 })[0] || null
+
+  candidates.forEach(add)
+  return { add, rank, best }
+}
+
+module.exports = {
+  CONFIG,
+  METHODS,
+  tvgIdBase,
+  nameTokens,
+  normalizeName,
+  nameSimilarity,
+  scoreMatch,
+  createMatcher,
+}
@@ -0,0 +1,232 @@
+/**
+ * HLS Playlist Helper
+ *
+ * Minimal parser for HLS (.m3u8) playlists:
+ * - Distinguishes master playlists (#EXT-X-STREAM-INF) from media playlists
+ * - Extracts variant and segment URIs, resolved against the playlist URL
+ * - Parses tag attribute lists (KEY=VALUE,KEY="quoted value")
+ * - Lists audio rendition languages (#EXT-X-MEDIA TYPE=AUDIO,LANGUAGE="ta")
+ * - Describes variants (resolution, bandwidth, codecs, frame rate) and derives
+ *   a normalized quality (SD/HD/FHD/UHD) from the best one
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+/**
+ * Parse an HLS attribute list
+ * @param {string} text - Attribute list (e.g., 'BANDWIDTH=800000,CODECS="avc1,mp4a"')
+ * @returns {Object<string, string>} - Attribute map with quotes removed
+ */
+function parseAttributeList(text) {
+  const attributes = {}
+  const attrRegex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g
+
+  for (const match of text.matchAll(attrRegex)) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '')
+  }
+
+  return attributes
+}
+
+/**
+ * Resolve a playlist URI against the playlist URL
+ * @param {string} uri - URI as written in the playlist
+ * @param {string} baseUrl - URL the playlist was fetched from
+ * @returns {string} - Absolute URL (or the URI unchanged if it cannot be resolved)
+ */
+function resolveUri(uri, baseUrl) {
+  try {
+    return new URL(uri, baseUrl).href
+  } catch {
+    return uri
+  }
+}
+
+/**
+ * Parse an HLS playlist
+ * @param {string} text - Playlist content
+ * @param {string} baseUrl - URL the playlist was fetched from
+ * @returns {{type: 'master'|'media', variants: Array<{uri: string, attributes: Object}>, segments: string[], renditions: Object[]}}
+ *   renditions holds the attribute maps of #EXT-X-MEDIA tags
+ * @throws {Error} If the content is not an HLS playlist
+ */
+function parsePlaylist(text, baseUrl = '') {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+
+  if (!lines[0] || !lines[0].startsWith('#EXTM3U')) {
+    throw new Error('Missing #EXTM3U header')
+  }
+
+  const variants = []
+  const segments = []
+  const renditions = []
+  let pendingVariant = null
+
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#EXT-X-MEDIA:')) {
+      renditions.push(parseAttributeList(line.substring(13)))
+      continue
+    }
+
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pendingVariant = parseAttributeList(line.substring(18))
+      continue
+    }
+
+    if (line.startsWith('#')) {
+      continue
+    }
+
+    // URI line: belongs to the preceding #EXT-X-STREAM-INF or is a segment
+    const uri = resolveUri(line, baseUrl)
+    if (pendingVariant) {
+      variants.push({ uri, attributes: pendingVariant })
+      pendingVariant = null
+    } else {
+      segments.push(uri)
+    }
+  }
+
+  return {
+    type: variants.length > 0 ? 'master' : 'media',
+    variants,
+    segments,
+    renditions,
+  }
+}
+
+/**
+ * List the languages of the audio renditions in a master playlist
+ *
+ * Renditions marked DEFAULT=YES come first, then the playlist order.
+ *
+ * @param {{renditions: Object[]}} playlist - Parsed playlist from parsePlaylist()
+ * @returns {string[]} - Distinct LANGUAGE values as written (e.g., ["ta", "en"])
+ */
+function audioLanguages(playlist) {
+  const audio = playlist.renditions.filter(
+    (rendition) => rendition.TYPE === 'AUDIO' && rendition.LANGUAGE,
+  )
+  const ordered = [
+    ...audio.filter((rendition) => rendition.DEFAULT === 'YES'),
+    ...audio.filter((rendition) => rendition.DEFAULT !== 'YES'),
+  ]
+  return [...new Set(ordered.map((rendition) => rendition.LANGUAGE))]
+}
+
+/**
+ * Map a vertical resolution to a normalized quality label
+ * @param {number} height - Frame height in pixels
+ * @returns {'SD'|'HD'|'FHD'|'UHD'|null} - Quality label
+ */
+function qualityFromHeight(height) {
+  if (!height || height <= 0) {
+    return null
+  }
+  if (height >= 2160) {
+    return 'UHD'
+  }
+  if (height >= 1080) {
+    return 'FHD'
+  }
+  if (height >= 720) {
+    return 'HD'
+  }
+  return 'SD'
+}
+
+/**
+ * Normalize a quality value to SD/HD/FHD/UHD
+ * @param {string} value - Quality as found in playlists (e.g., "720p", "4K", "hd")
+ * @returns {string|null} - Quality label or null if unrecognized
+ */
+function normalizeQuality(value) {
+  if (!value || typeof value !== 'string') {
+    return null
+  }
+
+  const normalized = value.trim().toUpperCase()
+  if (['SD', 'HD', 'FHD', 'UHD'].includes(normalized)) {
+    return normalized
+  }
+  if (/^(4K|2160P?)$/.test(normalized)) {
+    return 'UHD'
+  }
+
+  const heightMatch = normalized.match(/^(\d{3,4})[PI]$/)
+  return heightMatch ? qualityFromHeight(Number(heightMatch[1])) : null
+}
+
+/**
+ * Describe a master playlist variant
+ * @param {{uri: string, attributes: Object}} variant - Variant from parsePlaylist()
+ * @returns {{resolution: string|null, bandwidth: number|null, codecs: string[], frameRate: number|null}}
+ */
+function describeVariant(variant) {
+  const { attributes } = variant
+  const resolution = /^\d+x\d+$/.test(attributes.RESOLUTION || '')
+    ? attributes.RESOLUTION
+    : null
+  const bandwidth = Number.parseInt(attributes.BANDWIDTH, 10)
+  const frameRate = Number.parseFloat(attributes['FRAME-RATE'])
+
+  return {
+    resolution,
+    bandwidth: Number.isNaN(bandwidth) ? null : bandwidth,
+    codecs: attributes.CODECS
+      ? attributes.CODECS.split(',').map((codec) => codec.trim())
+      : [],
+    frameRate: Number.isNaN(frameRate) ? null : frameRate,
+  }
+}
+
+/**
+ * Get the frame height of a described variant
+ * @param {{resolution: string|null}} variant - Described variant
+ * @returns {number} - Height in pixels (0 if unknown)
+ */
+function variantHeight(variant) {
+  return variant.resolution ? Number(variant.resolution.split('x')[1]) : 0
+}
+
+/**
+ * Inspect a master playlist
+ *
+ * Variants are sorted best first (height, then bandwidth) and the quality is
+ * derived from the best variant that declares a resolution.
+ *
+ * @param {{variants: Array}} playlist - Parsed playlist from parsePlaylist()
+ * @returns {{variants: Array, quality: string|null}}
+ */
+function inspectVariants(playlist) {
+  const variants = playlist.variants
+    .map(describeVariant)
+    .sort(
+      (a, b) =>
+        variantHeight(b) - variantHeight(a) ||
+        (b.bandwidth || 0) - (a.bandwidth || 0),
+    )
+
+  return {
+    variants,
+    quality:
+      variants.length > 0
+        ? qualityFromHeight(variantHeight(variants[0]))
+        : null,
+  }
+}
+
+module.exports = {
+  parseAttributeList,
+  resolveUri,
+  parsePlaylist,
+  audioLanguages,
+  qualityFromHeight,
+  normalizeQuality,
+  describeVariant,
+  inspectVariants,
+}
@@ -0,0 +1,166 @@
+/**
+ * HTTP Adapter Helper
+ *
+ * A thin GET client in front of axios with three modes:
+ * - live    Requests go to the network (default)
+ * - record  Requests go to the network and every response (or failure) is
+ *           saved to <fixtureDir>/<host>/<hash>.json, keyed by URL
+ * - replay  Responses are served from the fixture directory; a URL that was
+ *           never recorded fails with code HTTP_REPLAY_MISS
+ *
+ * Recorded failures (timeouts, HTTP 404, DNS errors) are replayed as the
+ * same error, so a replayed run takes the same fallbacks as the recorded one.
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires axios - HTTP client for live and record modes
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+const { ROOT_DIR, readJson, writeJson } = require('./channel-store')
+
+// Configuration
+const CONFIG = {
+  modes: ['live', 'record', 'replay'],
+  fixtureDir: path.join(ROOT_DIR, 'fixtures', 'http'),
+}
+
+/**
+ * Path of the fixture file of a URL
+ * @param {string} fixtureDir - Fixture directory
+ * @param {string} url - Requested URL
+ * @returns {string} - <fixtureDir>/<host>/<sha1 of the URL, 16 chars>.json
+ */
+function fixturePath(fixtureDir, url) {
+  let host = 'invalid-url'
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_') || host
+  } catch {
+    // Keep unparsable URLs together
+  }
+  const hash = crypto.createHash('sha1').update(url).digest('hex')
+  return path.join(fixtureDir, host, `${hash.slice(0, 16)}.json`)
+}
+
+/**
+ * Save a fixture record, creating the host directory
+ * @param {string} file - Fixture path
+ * @param {Object} record - Response or failure record
+ */
+function saveRecord(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  writeJson(file, record)
+}
+
+/**
+ * Turn a recorded failure back into an error like the one axios threw
+ * @param {{url: string, error: Object}} record - Fixture record
+ * @returns {Error} - Error with message, code and response.status
+ */
+function toError(record) {
+  const error = new Error(record.error.message)
+  if (record.error.code) {
+    error.code = record.error.code
+  }
+  if (record.error.status) {
+    error.response = { status: record.error.status }
+  }
+  return error
+}
+
+/**
+ * Create an HTTP client
+ * @param {Object} options - Client options
+ * @param {'live'|'record'|'replay'} [options.mode] - Mode (default: live)
+ * @param {string} [options.fixtureDir] - Fixture directory
+ *   (default: CONFIG.fixtureDir)
+ * @returns {{mode: string, fixtureDir: string, stats: Object, get: Function}}
+ *   get(url, config) resolves to { status, headers, data } and accepts the
+ *   axios request config; stats counts requests, recorded and replayed
+ *   responses and replay misses
+ * @throws {Error} If the mode is unknown
+ */
+function createHttpClient(options = {}) {
+  const mode = options.mode || 'live'
+  const fixtureDir = options.fixtureDir || CONFIG.fixtureDir
+  if (!CONFIG.modes.includes(mode)) {
+    throw new Error(
+      `Unknown HTTP mode "${mode}" (expected ${CONFIG.modes.join(', ')})`,
+    )
+  }
+
+  const stats = { requests: 0, recorded: 0, replayed: 0, misses: 0 }
+
+  async function get(url, config = {}) {
+    stats.requests++
+    const file = fixturePath(fixtureDir, url)
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        stats.misses++
+        const error = new Error(`No recorded response for ${url}`)
+        error.code = 'HTTP_REPLAY_MISS'
+        throw error
+      }
+      const record = readJson(file)
+      stats.replayed++
+      if (record.error) {
+        throw toError(record)
+      }
+      return {
+        status: record.status,
+        headers: record.headers,
+        data: record.data,
+      }
+    }
+
+    try {
+      const response = await axios.get(url, config)
+      if (mode === 'record') {
+        saveRecord(file, {
+          url,
+          recordedAt: new Date().toISOString(),
+          status: response.status,
+          headers: { 'content-type': response.headers?.['content-type'] },
+          data: response.data,
+        })
+        stats.recorded++
+      }
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+      }
+    } catch (error) {
+      if (mode === 'record') {
+        saveRecord(file, {
+          url,
+          recordedAt: new Date().toISOString(),
+          error: {
+            message: error.message,
+            ...(error.code ? { code: error.code } : {}),
+            ...(error.response?.status
+              ? { status: error.response.status }
+              : {}),
+          },
+        })
+        stats.recorded++
+      }
+      throw error
+    }
+  }
+
+  return { mode, fixtureDir, stats, get }
+}
+
+// Client used when a caller does not pass one
+const liveClient = createHttpClient()
+
+module.exports = {
+  CONFIG,
+  fixturePath,
+  createHttpClient,
+  liveClient,
+}
@@ -0,0 +1,319 @@
+/**
+ * Language Cache Helper
+ *
+ * Caches detected languages by domain in .language-cache.json so enrichment
+ * runs do not fetch the same website twice; stream manifest results are kept
+ * per stream, under "stream:<streamUrl>". The file is versioned:
+ *
+ *   {
+ *     "version": 2,
+ *     "detectorVersion": 2,
+ *     "entries": {
+ *       "SunTV.in": {
+ *         "language": "tamil",
+ *         "source": "web",
+ *         "confidence": 0.8,
+ *         "detectorVersion": 2,
+ *         "timestamp": 1760860800000
+ *       }
+ *     }
+ *   }
+ *
+ * - Entries expire after a TTL that depends on their source: a pattern guess
+ *   is retried after a day, a website result after a month, manual entries
+ *   never expire. Expired entries are ignored by get/has and dropped by prune.
+ * - When DETECTOR_VERSION changes, entries written by the old detector are
+ *   dropped on load (except the sources in CONFIG.keepOnUpgrade), so results
+ *   of improved logic replace the old guesses.
+ * - Files in the old flat format ({ domain: { language, source } }) are
+ *   migrated on load the same way.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { ROOT_DIR, writeJson } = require('./channel-store')
+const { DETECTOR_VERSION } = require('./websearch-language-detection')
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Configuration
+const CONFIG = {
+  cacheFile: path.join(ROOT_DIR, '.language-cache.json'),
+  fileVersion: 2, // Layout of the cache file
+  // Time to live per source, in ms (null: never expires)
+  ttl: {
+    manual: null,
+    'name-explicit': 90 * DAY,
+    'stream-manifest': 7 * DAY,
+    web: 30 * DAY,
+    pattern: 1 * DAY,
+  },
+  defaultTtl: 7 * DAY, // Sources missing from ttl
+  // Sources kept (and re-stamped) when the detector version changes
+  keepOnUpgrade: ['manual'],
+  // Confidence of entries migrated from the flat format, by source
+  legacyConfidence: {
+    'name-explicit': 1,
+    'stream-manifest': 0.95,
+    web: 0.8,
+    pattern: 0.5,
+  },
+}
+
+/**
+ * Time to live of a source
+ * @param {string} source - Detection source (e.g., "web")
+ * @returns {number|null} - TTL in ms, null when the entry never expires
+ */
+function ttlFor(source) {
+  return source in CONFIG.ttl ? CONFIG.ttl[source] : CONFIG.defaultTtl
+}
+
+/**
+ * Check whether a cache entry has expired
+ * @param {Object} entry - Cache entry ({ source, timestamp })
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {boolean} - True once the TTL of its source has passed
+ */
+function isExpired(entry, now = Date.now()) {
+  const ttl = ttlFor(entry.source)
+  return ttl !== null && now - (entry.timestamp || 0) > ttl
+}
+
+/**
+ * Bring cache file content to the current layout and detector version
+ * @param {Object} data - Parsed cache file (versioned or flat)
+ * @returns {{entries: Object, migration: Object|null}} - Current entries and,
+ *   when anything changed, { fromVersion, toVersion, kept, dropped }
+ */
+function migrate(data) {
+  const versioned = data && data.version === CONFIG.fileVersion
+  const fromVersion = versioned ? data.detectorVersion : null
+  const entries = versioned ? data.entries || {} : {}
+
+  if (!versioned) {
+    // Flat format: { domain: { language, source, timestamp } }
+    Object.entries(data || {}).forEach(([domain, entry]) => {
+      entries[domain] = {
+        ...entry,
+        confidence: CONFIG.legacyConfidence[entry.source] ?? 0.5,
+        detectorVersion: null,
+      }
+    })
+  }
+
+  if (versioned && fromVersion === DETECTOR_VERSION) {
+    return { entries, migration: null }
+  }
+
+  const kept = {}
+  Object.entries(entries).forEach(([domain, entry]) => {
+    if (
+      entry.detectorVersion === DETECTOR_VERSION ||
+      CONFIG.keepOnUpgrade.includes(entry.source)
+    ) {
+      kept[domain] = { ...entry, detectorVersion: DETECTOR_VERSION }
+    }
+  })
+
+  return {
+    entries: kept,
+    migration: {
+      fromVersion,
+      toVersion: DETECTOR_VERSION,
+      kept: Object.keys(kept).length,
+      dropped: Object.keys(entries).length - Object.keys(kept).length,
+    },
+  }
+}
+
+/**
+ * Check a cache entry against invalidation filters
+ * @param {string} domain - Cache key
+ * @param {Object} entry - Cache entry
+ * @param {Object} filters - Filters; every given one must match
+ * @param {string} [filters.source] - Entry source (e.g., "pattern")
+ * @param {string} [filters.language] - Primary or secondary language
+ * @param {string} [filters.domain] - Domain (case-insensitive, like the
+ *   tvgId it comes from: "SunTV.in")
+ * @returns {boolean}
+ */
+function matchesEntry(domain, entry, filters) {
+  if (filters.source && entry.source !== filters.source) {
+    return false
+  }
+  if (
+    filters.language &&
+    entry.language !== filters.language &&
+    !(entry.languages || []).includes(filters.language)
+  ) {
+    return false
+  }
+  if (filters.domain && domain.toLowerCase() !== filters.domain.toLowerCase()) {
+    return false
+  }
+  return true
+}
+
+// Cache management
+class LanguageCache {
+  /**
+   * @param {string|null} cacheFile - Cache file (null: in memory only)
+   * @param {Object} options - Cache options
+   * @param {number} [options.saveInterval] - Save every N writes (default: 20)
+   */
+  constructor(cacheFile = CONFIG.cacheFile, options = {}) {
+    this.cacheFile = cacheFile
+    this.saveInterval = options.saveInterval || 20
+    this.pendingWrites = 0
+    this.dirty = false
+    this.loadError = null
+    this.migration = null
+    this.cache = this.load()
+  }
+
+  load() {
+    try {
+      if (this.cacheFile && fs.existsSync(this.cacheFile)) {
+        const { entries, migration } = migrate(
+          JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8')),
+        )
+        this.migration = migration
+        this.dirty = migration !== null
+        return entries
+      }
+    } catch (error) {
+      this.loadError = error
+    }
+    return {}
+  }
+
+  save() {
+    if (this.cacheFile) {
+      writeJson(this.cacheFile, {
+        version: CONFIG.fileVersion,
+        detectorVersion: DETECTOR_VERSION,
+        entries: this.cache,
+      })
+    }
+    this.dirty = false
+  }
+
+  /**
+   * Get the entry of a domain
+   * @param {string} domain - Domain
+   * @returns {Object|undefined} - Entry, undefined when missing or expired
+   */
+  get(domain) {
+    const entry = this.cache[domain]
+    return entry && !isExpired(entry) ? entry : undefined
+  }
+
+  /**
+   * Store a detection result
+   * @param {string} domain - Domain
+   * @param {string} language - Primary language
+   * @param {string} source - Detection source (e.g., "web")
+   * @param {Object} details - Provenance details
+   * @param {number} [details.confidence] - Confidence of the result (0-1)
+   * @param {string[]} [details.languages] - Every language, primary first
+   */
+  set(domain, language, source, details = {}) {
+    this.cache[domain] = {
+      language,
+      ...(details.languages ? { languages: details.languages } : {}),
+      source,
+      confidence: details.confidence ?? null,
+      detectorVersion: DETECTOR_VERSION,
+      timestamp: Date.now(),
+    }
+    this.dirty = true
+    this.pendingWrites++
+
+    // Batch saves - only save every N operations
+    if (this.pendingWrites >= this.saveInterval) {
+      this.save()
+      this.pendingWrites = 0
+    }
+  }
+
+  has(domain) {
+    return this.get(domain) !== undefined
+  }
+
+  /**
+   * Remove the entries matching every given filter
+   * @param {Object} filters - { source, language, domain } (see matchesEntry)
+   * @returns {string[]} - Removed domains
+   */
+  invalidate(filters = {}) {
+    const removed = Object.keys(this.cache).filter((domain) =>
+      matchesEntry(domain, this.cache[domain], filters),
+    )
+    removed.forEach((domain) => {
+      delete this.cache[domain]
+    })
+    if (removed.length > 0) {
+      this.dirty = true
+    }
+    return removed
+  }
+
+  /**
+   * Remove expired entries
+   * @param {number} now - Reference time in ms (default: Date.now())
+   * @returns {string[]} - Removed domains
+   */
+  prune(now = Date.now()) {
+    const removed = Object.keys(this.cache).filter((domain) =>
+      isExpired(this.cache[domain], now),
+    )
+    removed.forEach((domain) => {
+      delete this.cache[domain]
+    })
+    if (removed.length > 0) {
+      this.dirty = true
+    }
+    return removed
+  }
+
+  /**
+   * Count entries by source
+   * @param {number} now - Reference time in ms (default: Date.now())
+   * @returns {Object<string, {total: number, expired: number}>}
+   */
+  stats(now = Date.now()) {
+    const bySource = {}
+    Object.values(this.cache).forEach((entry) => {
+      const counts = bySource[entry.source] || { total: 0, expired: 0 }
+      counts.total++
+      if (isExpired(entry, now)) {
+        counts.expired++
+      }
+      bySource[entry.source] = counts
+    })
+    return bySource
+  }
+
+  get size() {
+    return Object.keys(this.cache).length
+  }
+
+  // Force save (call at end of script)
+  flush() {
+    if (this.dirty) {
+      this.save()
+      this.pendingWrites = 0
+    }
+  }
+}
+
+module.exports = {
+  CONFIG,
+  ttlFor,
+  isExpired,
+  migrate,
+  LanguageCache,
+}
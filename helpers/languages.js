@@ -0,0 +1,63 @@
+/**
+ * Channel Languages Helper
+ *
+ * A channel broadcasts in one primary language (`language`) and, for
+ * multi-language feeds or streams with several audio tracks, in secondary
+ * languages too. Those are listed in `languages`, primary first:
+ *   { "language": "hindi", "languages": ["hindi", "english"] }
+ *
+ * `languages` is only written when there is more than one language, so
+ * single-language records keep the plain `language` field.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+/**
+ * Get every language of a channel record
+ * @param {Object} channel - Channel record
+ * @returns {string[]} - language followed by the secondary languages
+ *   (lowercase; empty when the channel has no language)
+ */
+function channelLanguages(channel) {
+  if (Array.isArray(channel.languages) && channel.languages.length > 0) {
+    return channel.languages.map((language) => language.toLowerCase())
+  }
+  return channel.language ? [channel.language.toLowerCase()] : []
+}
+
+/**
+ * Apply a detection result to a channel record
+ * @param {Object} channel - Channel record
+ * @param {{language: string, languages?: string[]}} result - Primary language
+ *   and, optionally, every language primary first
+ * @returns {Object} - New record with language set and languages placed right
+ *   after it (only when there are secondary languages)
+ */
+function applyLanguages(channel, result) {
+  const languages = [
+    result.language,
+    ...(result.languages || []).filter(
+      (language) => language !== result.language,
+    ),
+  ]
+  const updated = {}
+
+  Object.entries({ ...channel, language: result.language }).forEach(
+    ([key, value]) => {
+      if (key === 'languages') {
+        return
+      }
+      updated[key] = value
+      if (key === 'language' && languages.length > 1) {
+        updated.languages = languages
+      }
+    },
+  )
+
+  return updated
+}
+
+module.exports = {
+  channelLanguages,
+  applyLanguages,
+}
@@ -0,0 +1,254 @@
+/**
+ * Logo Store Helper
+ *
+ * Mirrors channel logos into logos/ so the catalog does not depend on
+ * hotlinked images that break without notice:
+ *
+ *   logos/
+ *     <hash>/original.<format>  Downloaded file, byte for byte
+ *     <hash>/<size>.png|webp    Square renditions for every CONFIG.sizes
+ *     _manifest.json            Channel id → { source, hash, format, width,
+ *                               height, bytes, fetchedAt }
+ *
+ * <hash> is the start of the SHA-256 of the downloaded bytes, so channels
+ * sharing a logo share one directory and an unchanged logo is not rendered
+ * twice. A download is only stored when it decodes as one of CONFIG.formats
+ * with both sides at least CONFIG.minSize pixels: HTML error pages, truncated
+ * files and tracking pixels are rejected.
+ *
+ * Logos are matched to channels with the shared fuzzy matcher: by tvgId, then
+ * by tvgId without its feed ("SunTV.in@HD" → "suntv.in"), then by channel
+ * name similarity (see helpers/fuzzy.js).
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires axios - HTTP client for downloads
+ * @requires sharp - Image decoding and resizing
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+const sharp = require('sharp')
+const { ROOT_DIR, readJson, writeJson } = require('./channel-store')
+const { createMatcher } = require('./fuzzy')
+
+// Configuration
+const CONFIG = {
+  logoDir: path.join(ROOT_DIR, 'logos'),
+  sizes: [64, 128, 256], // Rendition edge lengths in pixels
+  outputFormats: ['png', 'webp'],
+  formats: ['png', 'jpeg', 'webp', 'gif', 'svg'], // Accepted originals
+  minSize: 16, // Smallest accepted width and height
+  maxBytes: 2 * 1024 * 1024,
+  timeout: 10000,
+  hashLength: 16,
+  nameThreshold: 0.85, // Minimum score of an accepted match
+}
+
+/**
+ * Hash image content
+ * @param {Buffer} buffer - File content
+ * @returns {string} - First CONFIG.hashLength hex chars of its SHA-256
+ */
+function hashContent(buffer) {
+  return crypto
+    .createHash('sha256')
+    .update(buffer)
+    .digest('hex')
+    .slice(0, CONFIG.hashLength)
+}
+
+/**
+ * Check that a buffer is a usable logo
+ * @param {Buffer} buffer - Downloaded content
+ * @returns {Promise<{ok: boolean, reason?: string, format?: string,
+ *   width?: number, height?: number}>}
+ */
+async function inspectImage(buffer) {
+  let metadata
+  try {
+    metadata = await sharp(buffer).metadata()
+  } catch {
+    return { ok: false, reason: 'not-an-image' }
+  }
+
+  const { format, width, height } = metadata
+  if (!CONFIG.formats.includes(format)) {
+    return { ok: false, reason: `unsupported-format ${format}` }
+  }
+  if (!width || !height || width < CONFIG.minSize || height < CONFIG.minSize) {
+    return { ok: false, reason: `too-small ${width}x${height}` }
+  }
+  return { ok: true, format, width, height }
+}
+
+/**
+ * Write the normalized renditions of a logo
+ * @param {Buffer} buffer - Original image
+ * @param {string} dir - Logo directory (logos/<hash>)
+ * @returns {Promise<string[]>} - Written file names (e.g., "128.webp")
+ */
+async function renderSizes(buffer, dir) {
+  const written = []
+  for (const size of CONFIG.sizes) {
+    // Fit inside a transparent square so every rendition has the same shape
+    const resized = sharp(buffer).resize(size, size, {
+      fit: 'contain',
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    for (const format of CONFIG.outputFormats) {
+      const name = `${size}.${format}`
+      await resized.clone().toFormat(format).toFile(path.join(dir, name))
+      written.push(name)
+    }
+  }
+  return written
+}
+
+/**
+ * Describe a failed download as a short reason string
+ * @param {Error} error - axios error
+ * @returns {string} - Failure reason (e.g., "http-404", "timeout")
+ */
+function describeError(error) {
+  if (error.response) {
+    return `http-${error.response.status}`
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED') {
+    return 'timeout'
+  }
+  if (
+    error.code === 'ERR_BAD_RESPONSE' &&
+    /maxContentLength/.test(error.message)
+  ) {
+    return 'too-large'
+  }
+  return error.code ? error.code.toLowerCase() : error.message
+}
+
+/**
+ * Download a logo into the store
+ * @param {string} url - Logo URL
+ * @param {Object} options - Mirror options
+ * @param {string} [options.logoDir] - Store directory (default: logos/)
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Promise<{ok: boolean, reason?: string, entry?: Object}>} - entry
+ *   is the manifest entry ({ source, hash, format, width, height, bytes,
+ *   fetchedAt })
+ */
+async function mirrorLogo(url, options = {}) {
+  const logoDir = options.logoDir || CONFIG.logoDir
+
+  let buffer
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: options.timeout || CONFIG.timeout,
+      maxContentLength: CONFIG.maxBytes,
+    })
+    buffer = Buffer.from(response.data)
+  } catch (error) {
+    return { ok: false, reason: describeError(error) }
+  }
+
+  const image = await inspectImage(buffer)
+  if (!image.ok) {
+    return image
+  }
+
+  const hash = hashContent(buffer)
+  const dir = path.join(logoDir, hash)
+  const original = path.join(dir, `original.${image.format}`)
+  if (!fs.existsSync(original)) {
+    fs.mkdirSync(dir, { recursive: true })
+    await renderSizes(buffer, dir)
+    // Written last, so an interrupted render is redone on the next run
+    fs.writeFileSync(original, buffer)
+  }
+
+  return {
+    ok: true,
+    entry: {
+      source: url,
+      hash,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      bytes: buffer.length,
+      fetchedAt: new Date().toISOString(),
+    },
+  }
+}
+
+/**
+ * Read the logo manifest
+ * @param {string} logoDir - Store directory
+ * @returns {Object<string, Object>} - Entries by channel id
+ */
+function readManifest(logoDir = CONFIG.logoDir) {
+  const file = path.join(logoDir, '_manifest.json')
+  return fs.existsSync(file) ? readJson(file) : {}
+}
+
+/**
+ * Write the logo manifest (sorted by channel id)
+ * @param {Object<string, Object>} manifest - Entries by channel id
+ * @param {string} logoDir - Store directory
+ */
+function writeManifest(manifest, logoDir = CONFIG.logoDir) {
+  fs.mkdirSync(logoDir, { recursive: true })
+  const sorted = {}
+  Object.keys(manifest)
+    .sort()
+    .forEach((id) => {
+      sorted[id] = manifest[id]
+    })
+  writeJson(path.join(logoDir, '_manifest.json'), sorted)
+}
+
+/**
+ * Check whether the store still holds the files of a manifest entry
+ * @param {Object} entry - Manifest entry
+ * @param {string} logoDir - Store directory
+ * @returns {boolean}
+ */
+function hasFiles(entry, logoDir = CONFIG.logoDir) {
+  return fs.existsSync(
+    path.join(logoDir, entry.hash, `original.${entry.format}`),
+  )
+}
+
+/**
+ * Create a logo matcher over playlist entries
+ * @param {Array<{tvgId: string, name: string, logo: string}>} candidates -
+ *   Playlist entries with a logo
+ * @param {Object} options - Matcher options
+ * @param {number} [options.threshold] - Minimum match score
+ *   (default: CONFIG.nameThreshold)
+ * @returns {function(Object): ({logo: string, method: string, score: number,
+ *   candidate: Object}|null)} - Best match for a channel record; method is
+ *   "tvgId", "tvgId-base" or "name" (see helpers/fuzzy.js)
+ */
+function createLogoMatcher(candidates, options = {}) {
+  const matcher = createMatcher(candidates, {
+    threshold: options.threshold ?? CONFIG.nameThreshold,
+  })
+
+  return (channel) => {
+    const match = matcher.best(channel)
+    return match ? { logo: match.candidate.logo, ...match } : null
+  }
+}
+
+module.exports = {
+  CONFIG,
+  hashContent,
+  inspectImage,
+  renderSizes,
+  mirrorLogo,
+  readManifest,
+  writeManifest,
+  hasFiles,
+  createLogoMatcher,
+}
@@ -0,0 +1,269 @@
+/**
+ * M3U Playlist Helper
+ *
+ * Parsing and formatting of extended M3U (IPTV) directives:
+ * - #EXTINF with quoted and unquoted attributes (tvg-*, group-title, catchup*)
+ * - #EXTVLCOPT and #KODIPROP player options
+ * - #EXTGRP group names
+ * - Stream headers (Referer, User-Agent, ...) from player options or from the
+ *   "url|User-Agent=...&Referer=..." suffix, as one structured headers object
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+// #EXTVLCOPT options that carry an HTTP header
+const VLC_HEADER_OPTIONS = {
+  'http-referrer': 'Referer',
+  'http-referer': 'Referer',
+  'http-user-agent': 'User-Agent',
+}
+
+// #KODIPROP property holding "Name=value&Name=value" request headers
+const KODI_HEADERS_PROPERTY = 'inputstream.adaptive.stream_headers'
+
+/**
+ * Normalize a header name ("user-agent" → "User-Agent", "referrer" → "Referer")
+ * @param {string} name - Header name as written in the playlist
+ * @returns {string} - Canonical header name
+ */
+function normalizeHeaderName(name) {
+  const lower = String(name).trim().toLowerCase()
+  if (lower === 'referrer') {
+    return 'Referer'
+  }
+  return lower.replace(/(^|-)([a-z])/g, (_, dash, letter) =>
+    dash.concat(letter.toUpperCase()),
+  )
+}
+
+/**
+ * Parse "Name=value&Name=value" header strings (Kodi and URL pipe syntax)
+ * @param {string} text - Header string
+ * @returns {Object<string, string>} - Headers
+ */
+function parseHeaderString(text) {
+  const headers = {}
+
+  String(text || '')
+    .split('&')
+    .forEach((pair) => {
+      const separator = pair.indexOf('=')
+      if (separator <= 0) {
+        return
+      }
+      const value = pair.slice(separator + 1)
+      try {
+        headers[normalizeHeaderName(pair.slice(0, separator))] =
+          decodeURIComponent(value)
+      } catch {
+        headers[normalizeHeaderName(pair.slice(0, separator))] = value
+      }
+    })
+
+  return headers
+}
+
+/**
+ * Format headers as a "Name=value&Name=value" string
+ * @param {Object<string, string>} headers - Headers
+ * @returns {string} - Header string with URI-encoded values
+ */
+function formatHeaderString(headers) {
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&')
+}
+
+/**
+ * Split the "|Name=value&..." header suffix off a stream URL
+ * @param {string} url - Stream URL as written in the playlist
+ * @returns {{url: string, headers: Object<string, string>}}
+ */
+function splitStreamUrl(url) {
+  const pipe = url.indexOf('|')
+  if (pipe === -1) {
+    return { url, headers: {} }
+  }
+  return {
+    url: url.slice(0, pipe),
+    headers: parseHeaderString(url.slice(pipe + 1)),
+  }
+}
+
+/**
+ * Parse an #EXTINF line
+ *
+ * Attributes may be quoted or not; the title starts after the first comma
+ * outside quotes, so commas inside quoted values are allowed.
+ *
+ * @param {string} line - "#EXTINF:-1 tvg-id="x" tvg-shift=2,Title"
+ * @returns {{duration: number, attributes: Object<string, string>, title: string}}
+ */
+function parseExtinf(line) {
+  const body = line.slice('#EXTINF:'.length)
+
+  let titleStart = -1
+  let inQuotes = false
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') {
+      inQuotes = !inQuotes
+    } else if (body[i] === ',' && !inQuotes) {
+      titleStart = i
+      break
+    }
+  }
+
+  const head = titleStart === -1 ? body : body.slice(0, titleStart)
+  const attributes = {}
+  for (const match of head.matchAll(/([\w-]+)=(?:"([^"]*)"|([^\s"]+))/g)) {
+    attributes[match[1]] = match[2] ?? match[3]
+  }
+
+  const duration = Number.parseFloat(head)
+
+  return {
+    duration: Number.isNaN(duration) ? -1 : duration,
+    attributes,
+    title: titleStart === -1 ? '' : body.slice(titleStart + 1).trim(),
+  }
+}
+
+/**
+ * Parse a "#DIRECTIVE:key=value" option line (#EXTVLCOPT, #KODIPROP)
+ * @param {string} line - Option line
+ * @returns {[string, string]} - [key, value] (value is empty without "=")
+ */
+function parseOption(line) {
+  const text = line.slice(line.indexOf(':') + 1).trim()
+  const separator = text.indexOf('=')
+  return separator === -1
+    ? [text, '']
+    : [text.slice(0, separator).trim(), text.slice(separator + 1).trim()]
+}
+
+/**
+ * Collect the headers and remaining options of one playlist entry
+ * @param {Array<[string, string]>} vlcOptions - Parsed #EXTVLCOPT lines
+ * @param {Array<[string, string]>} kodiProps - Parsed #KODIPROP lines
+ * @returns {{headers: Object<string, string>, vlcOptions: Array<[string, string]>, kodiProps: Object<string, string>}}
+ *   vlcOptions and kodiProps exclude the options that were turned into headers
+ */
+function collectHeaders(vlcOptions, kodiProps) {
+  const headers = {}
+  const otherVlcOptions = []
+  const otherKodiProps = {}
+
+  vlcOptions.forEach(([key, value]) => {
+    const header = VLC_HEADER_OPTIONS[key.toLowerCase()]
+    if (header) {
+      headers[header] = value
+    } else {
+      otherVlcOptions.push([key, value])
+    }
+  })
+
+  kodiProps.forEach(([key, value]) => {
+    if (key === KODI_HEADERS_PROPERTY) {
+      Object.assign(headers, parseHeaderString(value))
+    } else {
+      otherKodiProps[key] = value
+    }
+  })
+
+  return { headers, vlcOptions: otherVlcOptions, kodiProps: otherKodiProps }
+}
+
+/**
+ * Read catch-up settings from #EXTINF attributes
+ * @param {Object<string, string>} attributes - Parsed attributes
+ * @returns {{type?: string, source?: string, days?: number}|null} - null without catch-up
+ */
+function parseCatchup(attributes) {
+  const catchup = {}
+  const type = attributes.catchup || attributes['catchup-type']
+  const days = attributes['catchup-days'] || attributes.timeshift
+
+  if (type) {
+    catchup.type = type
+  }
+  if (attributes['catchup-source']) {
+    catchup.source = attributes['catchup-source']
+  }
+  if (days && !Number.isNaN(Number(days))) {
+    catchup.days = Number(days)
+  }
+
+  return Object.keys(catchup).length > 0 ? catchup : null
+}
+
+/**
+ * Build the player option lines of a channel (inverse of collectHeaders)
+ *
+ * Referer and User-Agent are written as #EXTVLCOPT (understood by most
+ * players); all headers are also written as one Kodi stream_headers property.
+ *
+ * @param {Object} channel - Channel record
+ * @returns {string[]} - #EXTVLCOPT and #KODIPROP lines
+ */
+function formatOptionLines(channel) {
+  const lines = []
+  const headers = channel.headers || {}
+
+  Object.entries(VLC_HEADER_OPTIONS)
+    .filter(([option]) => option !== 'http-referer')
+    .forEach(([option, header]) => {
+      if (headers[header]) {
+        lines.push(`#EXTVLCOPT:${option}=${headers[header]}`)
+      }
+    })
+
+  Object.entries(channel.kodiProps || {}).forEach(([key, value]) => {
+    lines.push(`#KODIPROP:${key}=${value}`)
+  })
+
+  if (Object.keys(headers).length > 0) {
+    lines.push(
+      `#KODIPROP:${KODI_HEADERS_PROPERTY}=${formatHeaderString(headers)}`,
+    )
+  }
+
+  return lines
+}
+
+/**
+ * Build the #EXTINF attributes for catch-up settings and time shift
+ * @param {Object} channel - Channel record
+ * @returns {Object<string, string>} - Attributes (empty when not set)
+ */
+function formatPlaybackAttributes(channel) {
+  const attributes = {}
+
+  if (typeof channel.tvgShift === 'number') {
+    attributes['tvg-shift'] = String(channel.tvgShift)
+  }
+  if (channel.catchup?.type) {
+    attributes.catchup = channel.catchup.type
+  }
+  if (channel.catchup?.source) {
+    attributes['catchup-source'] = channel.catchup.source
+  }
+  if (typeof channel.catchup?.days === 'number') {
+    attributes['catchup-days'] = String(channel.catchup.days)
+  }
+
+  return attributes
+}
+
+module.exports = {
+  KODI_HEADERS_PROPERTY,
+  normalizeHeaderName,
+  parseHeaderString,
+  formatHeaderString,
+  splitStreamUrl,
+  parseExtinf,
+  parseOption,
+  collectHeaders,
+  parseCatchup,
+  formatOptionLines,
+  formatPlaybackAttributes,
+}
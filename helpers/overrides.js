@@ -0,0 +1,141 @@
+/**
+ * Manual Overrides Helper
+ *
+ * overrides.json holds hand-made corrections that every script respects,
+ * keyed by channel id or tvgId:
+ *
+ *   {
+ *     "angel-tv": { "language": "tamil", "languages": ["tamil", "english"] },
+ *     "DDTamil.in@SD": { "category": "regional", "note": "State channel" },
+ *     "zee-news": { "logo": "https://example.com/zee-news.png" },
+ *     "star-sports-1-hd": { "isActive": false }
+ *   }
+ *
+ * - detectLanguage uses it as the `manual` strategy (highest priority)
+ * - classifyChannel takes the category of the channel's entry instead of
+ *   scoring it
+ * - Writers (json-to-individual, check-streams, categorize, enrich) apply it
+ *   to every record they write, so a hand edit is never lost again
+ * - reset-language.js keeps overridden languages
+ * - validate.js reports overrides whose channel no longer exists
+ *
+ * When both the id and the tvgId of a channel have an entry, the id entry
+ * wins field by field. An overridden language replaces the channel's
+ * languages unless the override lists `languages` too. The fields are
+ * described in schemas/overrides.schema.json.
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const { applyCategories } = require('./categories')
+const { OVERRIDES_FILE, readJson } = require('./channel-store')
+const { applyLanguages } = require('./languages')
+
+// Parsed files, by path
+const loaded = new Map()
+
+/**
+ * Load the overrides file
+ * @param {string} file - Overrides file (default: overrides.json)
+ * @param {Object} options - Load options
+ * @param {boolean} [options.reload] - Re-read a file loaded before
+ * @returns {Object<string, Object>} - Overrides by id or tvgId (empty when
+ *   the file does not exist)
+ */
+function loadOverrides(file = OVERRIDES_FILE, options = {}) {
+  if (options.reload || !loaded.has(file)) {
+    loaded.set(file, fs.existsSync(file) ? readJson(file) : {})
+  }
+  return loaded.get(file)
+}
+
+/**
+ * Find the override of a channel
+ * @param {Object} channel - Channel record (id, tvgId)
+ * @param {Object} overrides - Overrides by id or tvgId
+ * @returns {Object|null} - Merged override (id entry over tvgId entry)
+ */
+function findOverride(channel, overrides) {
+  const byTvgId = channel.tvgId ? overrides[channel.tvgId] : undefined
+  const byId = channel.id ? overrides[channel.id] : undefined
+  if (!byTvgId && !byId) {
+    return null
+  }
+  return { ...byTvgId, ...byId }
+}
+
+/**
+ * Apply an override to a channel record
+ * @param {Object} channel - Channel record
+ * @param {Object|null} override - Override from findOverride
+ * @returns {Object} - New record with the overridden fields set (the same
+ *   record when there is no override)
+ */
+function applyOverride(channel, override) {
+  if (!override) {
+    return channel
+  }
+
+  let updated = { ...channel }
+  if (override.language) {
+    updated = applyLanguages(updated, {
+      language: override.language,
+      languages: override.languages,
+    })
+  }
+  if (override.category) {
+    updated = applyCategories(updated, {
+      categoryId: override.category,
+      categories: [
+        override.category,
+        ...(override.categories || []).filter(
+          (category) => category !== override.category,
+        ),
+      ],
+    })
+  }
+  if (override.logo) {
+    updated.logo = override.logo
+  }
+  if (typeof override.isActive === 'boolean') {
+    updated.isActive = override.isActive
+  }
+
+  return updated
+}
+
+/**
+ * Apply the overrides file to a channel record
+ * @param {Object} channel - Channel record
+ * @param {Object} overrides - Overrides (default: overrides.json)
+ * @returns {Object} - Record with its override applied
+ */
+function withOverrides(channel, overrides = loadOverrides()) {
+  return applyOverride(channel, findOverride(channel, overrides))
+}
+
+/**
+ * List overrides whose key matches no channel
+ * @param {Object} overrides - Overrides by id or tvgId
+ * @param {Object[]} channels - Channel records
+ * @returns {string[]} - Keys without a channel
+ */
+function unmatchedOverrides(overrides, channels) {
+  const keys = new Set()
+  channels.forEach((channel) => {
+    keys.add(channel.id)
+    if (channel.tvgId) {
+      keys.add(channel.tvgId)
+    }
+  })
+  return Object.keys(overrides).filter((key) => !keys.has(key))
+}
+
+module.exports = {
+  loadOverrides,
+  findOverride,
+  applyOverride,
+  withOverrides,
+  unmatchedOverrides,
+}
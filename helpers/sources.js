@@ -0,0 +1,266 @@
+/**
+ * Stream Sources Helper
+ *
+ * A channel can be reachable through several stream URLs (the same feed in
+ * several playlists, or at 480p and 1080p). Each one is a source:
+ *   { url, quality, headers, origin, priority, isActive, lastError }
+ *
+ * - priority 0 is the primary source and is mirrored in channel.streamUrl
+ * - Sources are ranked by quality (UHD first), then by playlist order
+ * - isActive/lastError are maintained per source by check-streams.js
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const { createMatcher } = require('./fuzzy')
+const { normalizeQuality } = require('./hls')
+
+// Higher is better; unknown quality ranks below SD
+const QUALITY_RANK = { UHD: 4, FHD: 3, HD: 2, SD: 1 }
+
+// Source fields written by check-streams.js rather than by the playlist
+const HEALTH_FIELDS = ['isActive', 'lastError']
+
+/**
+ * Build the source of a parsed playlist entry
+ * @param {Object} entry - Entry from parseM3U (streamUrl, quality, headers)
+ * @param {string} origin - Playlist the entry came from (e.g., "in.m3u")
+ * @returns {Object} - Source record (priority is set by rankSources)
+ */
+function buildSource(entry, origin) {
+  const source = { url: entry.streamUrl }
+
+  const quality = normalizeQuality(entry.quality)
+  if (quality) {
+    source.quality = quality
+  }
+  if (entry.headers) {
+    source.headers = entry.headers
+  }
+  if (origin) {
+    source.origin = origin
+  }
+
+  return source
+}
+
+/**
+ * Order sources by quality, keeping the input order between equals, and
+ * number their priority from 0
+ * @param {Object[]} sources - Source records
+ * @returns {Object[]} - New array of ranked sources (duplicate URLs dropped)
+ */
+function rankSources(sources) {
+  const seen = new Set()
+
+  return sources
+    .filter((source) => {
+      if (seen.has(source.url)) {
+        return false
+      }
+      seen.add(source.url)
+      return true
+    })
+    .map((source, index) => ({ source, index }))
+    .sort(
+      (a, b) =>
+        (QUALITY_RANK[b.source.quality] || 0) -
+          (QUALITY_RANK[a.source.quality] || 0) || a.index - b.index,
+    )
+    .map(({ source }, priority) => ({ ...source, priority }))
+}
+
+/**
+ * Get the sources of a channel, ordered by priority
+ *
+ * Records written before sources existed only have streamUrl; they are
+ * returned as a single primary source that shares the channel's isActive.
+ *
+ * @param {Object} channel - Channel record
+ * @returns {Object[]} - Sources sorted by priority
+ */
+function channelSources(channel) {
+  if (Array.isArray(channel.sources) && channel.sources.length > 0) {
+    return [...channel.sources].sort((a, b) => a.priority - b.priority)
+  }
+  if (!channel.streamUrl) {
+    return []
+  }
+
+  const source = { url: channel.streamUrl, priority: 0 }
+  if (channel.quality) {
+    source.quality = channel.quality
+  }
+  if (channel.headers) {
+    source.headers = channel.headers
+  }
+  if (channel.isActive === false) {
+    source.isActive = false
+  }
+  return [source]
+}
+
+/**
+ * Pick the source to play
+ * @param {Object} channel - Channel record
+ * @returns {Object|null} - Highest-priority source not marked inactive, or
+ *   null when every source failed its last check
+ */
+function pickBestSource(channel) {
+  return (
+    channelSources(channel).find((source) => source.isActive !== false) || null
+  )
+}
+
+/**
+ * Copy the check results of previous sources onto new ones with the same URL
+ * @param {Object[]} sources - Sources rebuilt from the playlist
+ * @param {Object[]} previous - Sources currently stored for the channel
+ * @returns {Object[]} - New array of sources with health fields carried over
+ */
+function carryOverHealth(sources, previous = []) {
+  const byUrl = new Map(previous.map((source) => [source.url, source]))
+
+  return sources.map((source) => {
+    const old = byUrl.get(source.url)
+    if (!old) {
+      return source
+    }
+    const merged = { ...source }
+    HEALTH_FIELDS.forEach((field) => {
+      if (old[field] !== undefined) {
+        merged[field] = old[field]
+      }
+    })
+    return merged
+  })
+}
+
+/**
+ * Merge playlist entries that belong to one channel
+ *
+ * The first entry provides the channel fields (name, attributes, playback
+ * settings); streamUrl, quality (normalized, empty when unknown) and headers
+ * follow the primary source.
+ *
+ * @param {Object[]} group - Entries with a streamUrl (and a sources array
+ *   when they come from parseM3U)
+ * @returns {Object} - Channel with the ranked sources of every entry (no
+ *   sources array when there is only one)
+ */
+function mergeEntries(group) {
+  const entrySources = (entry) => entry.sources || [buildSource(entry)]
+  const sources = rankSources(group.flatMap(entrySources))
+  const primary = sources[0]
+
+  const channel = {
+    ...group[0],
+    streamUrl: primary.url,
+    quality: primary.quality || '',
+  }
+  if (sources.length > 1) {
+    channel.sources = sources
+  } else {
+    delete channel.sources
+  }
+  if (primary.headers) {
+    channel.headers = primary.headers
+  } else {
+    delete channel.headers
+  }
+  return channel
+}
+
+/**
+ * Merge playlist entries that share a tvgId into one channel (see
+ * mergeEntries)
+ *
+ * By default only identical tvgIds merge and entries without a tvgId are never
+ * merged. With options.threshold, an entry also joins the best earlier channel
+ * the fuzzy matcher scores at least that high (same tvgId base, such as
+ * "AasthaTamil.in@SD" and "AasthaTamil.in@HD", or a similar name). Entries
+ * with different tvgId bases are never merged on their names alone.
+ *
+ * With options.fileOf, entries that belong to different existing channel
+ * files are never merged either, so a playlist sync keeps every existing id
+ * (and its language) instead of retiring files; merging such channels is
+ * left to scripts/dedupe.js, which records aliases.
+ *
+ * @param {Object[]} entries - Entries with a streamUrl (and a sources array
+ *   when they come from parseM3U)
+ * @param {Object} options - Merge options
+ * @param {number} [options.threshold] - Minimum fuzzy match score (default:
+ *   exact tvgIds only)
+ * @param {function(Object): (string|null)} [options.fileOf] - Id of the
+ *   existing channel file an entry belongs to
+ * @returns {Object[]} - Merged channels in first-seen order
+ */
+function mergeByTvgId(entries, options = {}) {
+  const groupsByTvgId = new Map()
+  const groupFiles = new Map()
+  const channels = []
+  const fileOf = options.fileOf || (() => null)
+  const matcher =
+    typeof options.threshold === 'number'
+      ? createMatcher([], { threshold: options.threshold })
+      : null
+
+  const compatible = (group, file) =>
+    !file || !groupFiles.get(group) || groupFiles.get(group) === file
+
+  // Earlier channel the entry belongs to, if any
+  const findGroup = (entry, file) => {
+    const sameTvgId = (groupsByTvgId.get(entry.tvgId) || []).find((group) =>
+      compatible(group, file),
+    )
+    if (entry.tvgId && sameTvgId) {
+      return sameTvgId
+    }
+    if (!matcher) {
+      return null
+    }
+    const match = matcher
+      .rank(entry)
+      .find(
+        ({ candidate, method }) =>
+          (method !== 'name' || !entry.tvgId || !candidate.entry.tvgId) &&
+          compatible(candidate.group, file),
+      )
+    return match ? match.candidate.group : null
+  }
+
+  entries.forEach((entry) => {
+    const file = fileOf(entry)
+    let group = findGroup(entry, file)
+    if (!group) {
+      group = []
+      channels.push(group)
+      if (matcher) {
+        matcher.add({ tvgId: entry.tvgId, name: entry.name, entry, group })
+      }
+    }
+    if (entry.tvgId) {
+      const tvgIdGroups = groupsByTvgId.get(entry.tvgId) || []
+      if (!tvgIdGroups.includes(group)) {
+        groupsByTvgId.set(entry.tvgId, [...tvgIdGroups, group])
+      }
+    }
+    if (file) {
+      groupFiles.set(group, file)
+    }
+    group.push(entry)
+  })
+
+  return channels.map(mergeEntries)
+}
+
+module.exports = {
+  QUALITY_RANK,
+  buildSource,
+  rankSources,
+  channelSources,
+  pickBestSource,
+  carryOverHealth,
+  mergeEntries,
+  mergeByTvgId,
+}
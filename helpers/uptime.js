@@ -0,0 +1,199 @@
+/**
+ * Stream Uptime Helper
+ *
+ * Per-channel status history kept in tv/history/<id>.json:
+ * - Appending health-check results (pruned to the retention window)
+ * - Uptime percentages over rolling windows (7 and 30 days)
+ * - Consecutive failure/success streaks
+ * - The deactivation/reactivation policy applied by check-streams.js
+ * - Combining the histories of channels merged by scripts/dedupe.js
+ *
+ * History file format:
+ *   [{ "checkedAt": "2024-01-01T00:00:00.000Z", "ok": false, "reason": "playlist http-404" }]
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { TV_DIR, readJson, writeJson } = require('./channel-store')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Configuration
+const CONFIG = {
+  historyDir: path.join(TV_DIR, 'history'),
+  retentionDays: 30, // Drop entries older than this
+  failuresToDeactivate: 3, // N consecutive failures before isActive: false
+  successesToReactivate: 2, // M consecutive successes before isActive: true
+}
+
+/**
+ * Read the status history of a channel
+ * @param {string} id - Channel id
+ * @param {string} historyDir - History directory (default: tv/history/)
+ * @returns {Array<{checkedAt: string, ok: boolean, reason?: string}>} - Oldest first
+ */
+function readHistory(id, historyDir = CONFIG.historyDir) {
+  const filePath = path.join(historyDir, `${id}.json`)
+  if (!fs.existsSync(filePath)) {
+    return []
+  }
+  return readJson(filePath)
+}
+
+/**
+ * Append a check result to a channel's history and prune old entries
+ * @param {string} id - Channel id
+ * @param {{checkedAt: string, ok: boolean, reason?: string|null}} entry - Check result
+ * @param {string} historyDir - History directory (default: tv/history/)
+ * @returns {Array} - Updated history, oldest first
+ */
+function appendHistory(id, entry, historyDir = CONFIG.historyDir) {
+  const cutoff =
+    new Date(entry.checkedAt).getTime() - CONFIG.retentionDays * DAY_MS
+
+  const history = readHistory(id, historyDir).filter(
+    (item) => new Date(item.checkedAt).getTime() >= cutoff,
+  )
+  history.push(
+    entry.ok
+      ? { checkedAt: entry.checkedAt, ok: true }
+      : { checkedAt: entry.checkedAt, ok: false, reason: entry.reason },
+  )
+  writeHistory(id, history, historyDir)
+
+  return history
+}
+
+/**
+ * Write the status history of a channel
+ * @param {string} id - Channel id
+ * @param {Array} history - Status history, oldest first
+ * @param {string} historyDir - History directory (default: tv/history/)
+ */
+function writeHistory(id, history, historyDir = CONFIG.historyDir) {
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir, { recursive: true })
+  }
+  writeJson(path.join(historyDir, `${id}.json`), history)
+}
+
+/**
+ * Combine the histories of channels merged into one
+ *
+ * Checks are ordered by time and pruned to the retention window of the
+ * newest one. Feeds checked at the same moment count as one check, which
+ * succeeded when any of them did.
+ *
+ * @param {Array[]} histories - Status histories
+ * @returns {Array} - Combined history, oldest first
+ */
+function mergeHistories(histories) {
+  const byTime = new Map()
+  histories.flat().forEach((item) => {
+    const earlier = byTime.get(item.checkedAt)
+    if (!earlier || (item.ok && !earlier.ok)) {
+      byTime.set(item.checkedAt, item)
+    }
+  })
+
+  const history = [...byTime.values()].sort(
+    (a, b) => new Date(a.checkedAt).getTime() - new Date(b.checkedAt).getTime(),
+  )
+  if (history.length === 0) {
+    return history
+  }
+  const cutoff =
+    new Date(history[history.length - 1].checkedAt).getTime() -
+    CONFIG.retentionDays * DAY_MS
+  return history.filter((item) => new Date(item.checkedAt).getTime() >= cutoff)
+}
+
+/**
+ * Compute the uptime percentage over a rolling window
+ * @param {Array} history - Status history
+ * @param {number} days - Window size in days
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {number|null} - Percentage with one decimal, or null without checks in the window
+ */
+function computeUptime(history, days, now = Date.now()) {
+  const cutoff = now - days * DAY_MS
+  const inWindow = history.filter(
+    (item) => new Date(item.checkedAt).getTime() >= cutoff,
+  )
+
+  if (inWindow.length === 0) {
+    return null
+  }
+
+  const up = inWindow.filter((item) => item.ok).length
+  return Math.round((up / inWindow.length) * 1000) / 10
+}
+
+/**
+ * Summarize uptime for the channel record
+ * @param {Array} history - Status history
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {{last7Days: number|null, last30Days: number|null}}
+ */
+function summarizeUptime(history, now = Date.now()) {
+  return {
+    last7Days: computeUptime(history, 7, now),
+    last30Days: computeUptime(history, 30, now),
+  }
+}
+
+/**
+ * Count the run of identical results at the end of the history
+ * @param {Array} history - Status history
+ * @returns {{ok: boolean|null, count: number}} - Latest result and how many times in a row
+ */
+function currentStreak(history) {
+  if (history.length === 0) {
+    return { ok: null, count: 0 }
+  }
+
+  const { ok } = history[history.length - 1]
+  let count = 0
+  for (let i = history.length - 1; i >= 0 && history[i].ok === ok; i--) {
+    count++
+  }
+  return { ok, count }
+}
+
+/**
+ * Decide the new isActive value from the history
+ *
+ * An active channel is deactivated only after N consecutive failures and an
+ * inactive one is reactivated only after M consecutive successes, so a single
+ * flaky probe does not flip the channel.
+ *
+ * @param {boolean} isActive - Current isActive value
+ * @param {Array} history - Status history including the latest check
+ * @param {Object} policy - Thresholds (default: CONFIG)
+ * @returns {boolean} - New isActive value
+ */
+function applyPolicy(isActive, history, policy = CONFIG) {
+  const streak = currentStreak(history)
+
+  if (isActive && streak.ok === false) {
+    return streak.count < policy.failuresToDeactivate
+  }
+  if (!isActive && streak.ok === true) {
+    return streak.count >= policy.successesToReactivate
+  }
+  return isActive
+}
+
+module.exports = {
+  CONFIG,
+  readHistory,
+  appendHistory,
+  writeHistory,
+  mergeHistories,
+  computeUptime,
+  summarizeUptime,
+  currentStreak,
+  applyPolicy,
+}
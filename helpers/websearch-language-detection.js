@@ -5,25 +5,50 @@
  * - Web crawling and HTML content fetching
  * - Multi-signal language detection (HTML metadata, text analysis, resources)
  * - Statistical text analysis using franc library
+ * - Stream manifest detection (HLS audio rendition languages)
  * - Pattern-based fallback detection
  * - Language code normalization
  *
  * @author Senior Backend Automation Engineer
- * @requires axios - HTTP client for web requests
  * @requires cheerio - HTML parsing and DOM manipulation
  * @requires franc - Statistical language detection
+ * @requires ./hls - HLS playlist parser (audio rendition languages)
+ * @requires ./http - HTTP adapter (live, record or replay)
+ * @requires ./overrides - Manual overrides (overrides.json)
  */
 
-const axios = require('axios')
 const cheerio = require('cheerio')
 const { franc } = require('franc')
 const { convert } = require('html-to-text')
+const { audioLanguages, parsePlaylist } = require('./hls')
+const { liveClient } = require('./http')
+const { findOverride, loadOverrides } = require('./overrides')
+
+// Version of the detection logic, stored with every cached result. Bump it
+// when a change to the strategies, patterns or text analysis can change
+// results, so that the language cache drops what the old logic produced.
+const DETECTOR_VERSION = 2
 
 // Configuration
 const CONFIG = {
   timeout: 8000, // 8 second timeout
   maxRetries: 1, // Retry failed requests once
   userAgent: 'Mozilla/5.0 (compatible; LanguageDetectorBot/1.0)',
+  maxManifestBytes: 2 * 1024 * 1024, // Refuse absurdly large playlists
+  // Detection strategies in priority order (see LANGUAGE_STRATEGIES)
+  strategies: [
+    'manual',
+    'name-explicit',
+    'cache',
+    'stream-manifest',
+    'web',
+    'pattern',
+    'pattern-default',
+  ],
+  stopConfidence: 0.9, // Skip the remaining strategies once a signal is this sure
+  // Cached sources that let the remaining strategies run again (any other
+  // cached result stops the pipeline until it expires)
+  retryCachedSources: ['pattern'],
 }
 
 // ISO 639-1 Language Code Mapping
@@ -95,6 +120,9 @@ const LANGUAGE_PATTERNS = {
     /discovery|national geographic|nat geo|animal planet|bbc|cnn|fox|history|sony pix|&flix|&prive|movies now|romedy|mtv|vh1|comedy central|nick|cartoon|pogo|disney|hungama|sony yay|travel xp|fashion|food|tlc|living|espn|star sports|sony.*sports|eurosport|dd sports|mirror now|wion|zoom/i,
 }
 
+// Names that suggest an Indian channel when no pattern matches (defaults to Hindi)
+const DEFAULT_LANGUAGE_PATTERN = /tv|channel|news|bharat|india|desi/
+
 /**
  * Sleep utility
  * @param {number} ms - Milliseconds to sleep
@@ -133,14 +161,32 @@ function extractDomain(tvgId) {
   return null
 }
 
+/**
+ * Cache key of a stream's manifest result
+ *
+ * Audio renditions belong to one stream, not to the tvgId domain that the
+ * website and name results are cached under.
+ *
+ * @param {string} streamUrl - HLS stream URL
+ * @returns {string|null} - "stream:<url>", or null without a URL
+ */
+function streamCacheKey(streamUrl) {
+  return streamUrl ? `stream:${streamUrl}` : null
+}
+
 /**
  * Fetch website content with retry logic
  * @param {string} domain - Domain name to fetch
  * @param {number} retries - Number of retries (default: CONFIG.maxRetries)
+ * @param {Object} http - HTTP client from createHttpClient (default: live)
  * @returns {Promise<{html: string, url: string}>}
- * @throws {Error} If all fetch attempts fail
+ * @throws {Error} If all fetch attempts fail, or at once on a replay miss
  */
-async function fetchWebsite(domain, retries = CONFIG.maxRetries) {
+async function fetchWebsite(
+  domain,
+  retries = CONFIG.maxRetries,
+  http = liveClient,
+) {
   // Prioritize HTTPS and www variations
   const urls = [
     `https://www.${domain}`,
@@ -151,7 +197,7 @@ async function fetchWebsite(domain, retries = CONFIG.maxRetries) {
   for (const url of urls) {
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
-        const response = await axios.get(url, {
+        const response = await http.get(url, {
           timeout: CONFIG.timeout,
           headers: {
             'User-Agent': CONFIG.userAgent,
@@ -169,6 +215,10 @@ async function fetchWebsite(domain, retries = CONFIG.maxRetries) {
           return { html: response.data, url }
         }
       } catch (error) {
+        if (error.code === 'HTTP_REPLAY_MISS') {
+          // Not in the snapshot: report it rather than fall back silently
+          throw error
+        }
         if (attempt === retries) {
           // Last attempt failed, try next URL
           break
@@ -357,6 +407,11 @@ function normalizeLanguageCode(value) {
     return localeMatch[1]
   }
 
+  // ISO 639-3 codes (e.g., "tam", "hin" in HLS rendition tags)
+  if (/^[a-z]{3}$/.test(normalized) && FRANC_TO_LANGUAGE_NAME[normalized]) {
+    return LANGUAGE_CODES[FRANC_TO_LANGUAGE_NAME[normalized]]
+  }
+
   // Full language names
   const langMap = {
     tamil: 'ta',
@@ -374,6 +429,7 @@ function normalizeLanguageCode(value) {
     assamese: 'as',
     odia: 'or',
     oriya: 'or',
+    bhojpuri: 'bh',
   }
 
   return langMap[normalized] || null
@@ -729,7 +785,7 @@ function detectLanguageByPattern(channelName) {
   }
 
   // Default to Hindi for most Indian channels
-  if (/tv|channel|news|bharat|india|desi/.test(name)) {
+  if (DEFAULT_LANGUAGE_PATTERN.test(name)) {
     return 'hindi'
   }
 
@@ -737,68 +793,422 @@ function detectLanguageByPattern(channelName) {
 }
 
 /**
- * Main language detection function with web crawling
- * @param {Object} channel - Channel object with name and tvgId
+ * Detect the languages of the audio renditions of a stream's master playlist
+ *
+ * Multi-audio streams declare their tracks as
+ *   #EXT-X-MEDIA:TYPE=AUDIO,LANGUAGE="ta",DEFAULT=YES,...
+ *
+ * @param {string} streamUrl - HLS stream URL
+ * @param {Object} http - HTTP client from createHttpClient (default: live)
+ * @returns {Promise<string[]>} - Distinct language names, default rendition
+ *   first (empty if none is declared or known)
+ * @throws {Error} If the playlist cannot be fetched or parsed
+ */
+async function detectLanguagesFromManifest(streamUrl, http = liveClient) {
+  const response = await http.get(streamUrl, {
+    timeout: CONFIG.timeout,
+    headers: { 'User-Agent': CONFIG.userAgent },
+    responseType: 'text',
+    maxRedirects: 5,
+    maxContentLength: CONFIG.maxManifestBytes,
+  })
+  const playlist = parsePlaylist(response.data, streamUrl)
+
+  const languages = audioLanguages(playlist)
+    .map((code) => ISO_TO_LANGUAGE[normalizeLanguageCode(code)])
+    .filter((language) => language && language !== 'unknown')
+  return [...new Set(languages)]
+}
+
+/**
+ * Detect language from the audio renditions of a stream's master playlist
+ *
+ * The default rendition wins, otherwise the first one with a known language.
+ *
+ * @param {string} streamUrl - HLS stream URL
+ * @param {Object} http - HTTP client from createHttpClient (default: live)
+ * @returns {Promise<string|null>} - Language name or null if none is declared
+ * @throws {Error} If the playlist cannot be fetched or parsed
+ */
+async function detectLanguageFromManifest(streamUrl, http = liveClient) {
+  const [language] = await detectLanguagesFromManifest(streamUrl, http)
+  return language || null
+}
+
+/**
+ * Language detection strategies
+ *
+ * Each strategy looks at one kind of evidence and returns null (no opinion)
+ * or { language, confidence, evidence }:
+ * - language: full language name (e.g., "tamil")
+ * - confidence: 0-1, how sure the strategy is
+ * - evidence: human-readable reason, kept in the result for debugging
+ * - source (optional): result source when it differs from the strategy name
+ * - languages (optional): every language the evidence shows, primary first
+ *   (e.g., the audio tracks of a multi-language stream)
+ * - final (optional): true to skip the remaining strategies whatever the
+ *   confidence (e.g., a cached website result that has not expired)
+ *
+ * A strategy receives the detection context:
+ *   { channel, domain, streamKey, cache, signals, fetchWebsite, http,
+ *     overrides }
+ * where streamKey is the cache key of the stream (see streamCacheKey) and
+ * signals holds the results of the strategies that ran before it.
+ */
+const LANGUAGE_STRATEGIES = {
+  // overrides.json entry of the channel (by id or tvgId)
+  manual: {
+    weight: 1,
+    detect: async ({ channel, overrides }) => {
+      const override = findOverride(channel, overrides)
+      return override?.language
+        ? {
+            language: override.language,
+            ...(override.languages ? { languages: override.languages } : {}),
+            confidence: 1,
+            evidence: `overrides.json${override.note ? `: ${override.note}` : ''}`,
+          }
+        : null
+    },
+  },
+
+  // "6 TV Telugu", "Sun TV Tamil": the name says it
+  'name-explicit': {
+    weight: 1,
+    detect: async ({ channel }) => {
+      const language = detectExplicitLanguageInName(channel.name || '')
+      return language
+        ? {
+            language,
+            confidence: 1,
+            evidence: `name "${channel.name}" mentions ${language}`,
+          }
+        : null
+    },
+  },
+
+  // Audio renditions declared in the HLS master playlist (per stream)
+  'stream-manifest': {
+    weight: 1,
+    detect: async ({ channel, http }) => {
+      if (!channel.streamUrl) {
+        return null
+      }
+      const languages = await detectLanguagesFromManifest(
+        channel.streamUrl,
+        http,
+      )
+      return languages.length > 0
+        ? {
+            language: languages[0],
+            languages,
+            confidence: 0.95,
+            evidence: `audio renditions (${languages.join(', ')}) of ${channel.streamUrl}`,
+          }
+        : null
+    },
+  },
+
+  // Earlier result for the same stream (manifest) or domain
+  cache: {
+    weight: 1,
+    detect: async ({ domain, streamKey, cache }) => {
+      if (!cache) {
+        return null
+      }
+      // Manifest results cached under the domain by older versions describe
+      // another stream of it
+      const key = [streamKey, domain].find(
+        (candidate) =>
+          candidate &&
+          cache.has(candidate) &&
+          (candidate === streamKey ||
+            cache.get(candidate).source !== 'stream-manifest'),
+      )
+      if (!key) {
+        return null
+      }
+      const cached = cache.get(key)
+      return {
+        language: cached.language,
+        // A cached result keeps its confidence, but only a cached pattern
+        // guess lets the stream and website be fetched again before it expires
+        confidence: cached.confidence ?? 0.9,
+        final: !CONFIG.retryCachedSources.includes(cached.source),
+        evidence: `cached ${cached.source} result for ${key}`,
+        source: `cached-${cached.source}`,
+        ...(cached.languages ? { languages: cached.languages } : {}),
+      }
+    },
+  },
+
+  // Content of the channel website (see detectLanguageFromHTML)
+  web: {
+    weight: 1,
+    detect: async ({ domain, fetchWebsite: fetchHtml }) => {
+      if (!domain) {
+        return null
+      }
+      const { html, url } = await fetchHtml(domain)
+      const code = detectLanguageFromHTML(html)
+      const language =
+        LANGUAGE_CODES[code] !== undefined
+          ? code
+          : ISO_TO_LANGUAGE[normalizeLanguageCode(code)]
+      return language && language !== 'unknown'
+        ? { language, confidence: 0.8, evidence: `website content of ${url}` }
+        : null
+    },
+  },
+
+  // LANGUAGE_PATTERNS on the channel name
+  pattern: {
+    weight: 1,
+    detect: async ({ channel, signals }) => {
+      // A cached pattern result is this same guess; voting twice would let it
+      // outweigh a fresh website result
+      if (signals.some((signal) => signal.source === 'cached-pattern')) {
+        return null
+      }
+      const name = String(channel.name || '').toLowerCase()
+      for (const [language, pattern] of Object.entries(LANGUAGE_PATTERNS)) {
+        const match = name.match(pattern)
+        if (match) {
+          return {
+            language,
+            confidence: 0.5,
+            evidence: `name matches "${match[0]}" in LANGUAGE_PATTERNS.${language}`,
+          }
+        }
+      }
+      return null
+    },
+  },
+
+  // Last resort: Hindi for names that look like an Indian channel
+  'pattern-default': {
+    weight: 1,
+    detect: async ({ channel, signals }) => {
+      if (signals.some((signal) => signal.language)) {
+        return null
+      }
+      const match = String(channel.name || '')
+        .toLowerCase()
+        .match(DEFAULT_LANGUAGE_PATTERN)
+      return match
+        ? {
+            language: 'hindi',
+            confidence: 0.2,
+            evidence: `no other strategy matched; name contains "${match[0]}" (default for Indian channels)`,
+            source: 'pattern',
+          }
+        : null
+    },
+  },
+}
+
+/**
+ * Register a detection strategy
+ * @param {string} name - Strategy name (used in CONFIG.strategies and results)
+ * @param {{weight?: number, detect: Function}} strategy - Strategy (see LANGUAGE_STRATEGIES)
+ * @param {Object} options - Registration options
+ * @param {string} [options.before] - Run before this strategy by default
+ *   (appended to CONFIG.strategies otherwise)
+ */
+function registerLanguageStrategy(name, strategy, options = {}) {
+  if (typeof strategy?.detect !== 'function') {
+    throw new Error(`Language strategy "${name}" must have a detect function`)
+  }
+  LANGUAGE_STRATEGIES[name] = { weight: 1, ...strategy }
+
+  if (!CONFIG.strategies.includes(name)) {
+    const index = CONFIG.strategies.indexOf(options.before)
+    if (index === -1) {
+      CONFIG.strategies.push(name)
+    } else {
+      CONFIG.strategies.splice(index, 0, name)
+    }
+  }
+}
+
+/**
+ * Combine strategy signals into one language
+ *
+ * Signals are scored weight × confidence and summed per language through
+ * aggregateLanguageSignals; ties go to the strategy that ran first. The
+ * secondary languages are those listed by the signals that voted for the
+ * winner (e.g., the other audio tracks of the stream).
+ *
+ * @param {Array<{strategy: string, language: string|null, languages?: string[], confidence: number, weight: number}>} signals
+ * @returns {{language: string, languages: string[], confidence: number, source: string}|null}
+ *   Winning language, every language primary first, the confidence of the
+ *   strongest signal and that signal's source; null when no signal has a
+ *   language
+ */
+function aggregateStrategySignals(signals) {
+  const voting = signals.filter((signal) => signal.language)
+  const code = aggregateLanguageSignals(
+    voting.map((signal) => ({
+      source: signal.strategy,
+      value: signal.language,
+      weight: signal.weight * signal.confidence,
+    })),
+  )
+  if (!code) {
+    return null
+  }
+
+  const winners = voting.filter(
+    (signal) => LANGUAGE_CODES[signal.language] === code,
+  )
+  const strongest = winners.reduce((best, signal) =>
+    signal.weight * signal.confidence > best.weight * best.confidence
+      ? signal
+      : best,
+  )
+  const languages = [
+    strongest.language,
+    ...winners.flatMap((signal) => signal.languages || []),
+  ]
+  return {
+    language: strongest.language,
+    languages: [...new Set(languages)],
+    confidence: strongest.confidence,
+    source: strongest.source || strongest.strategy,
+  }
+}
+
+/**
+ * Main language detection function
+ *
+ * Runs the enabled strategies in order, collecting one signal per strategy,
+ * and stops early once a signal reaches CONFIG.stopConfidence or is final
+ * (so a name that says "Telugu" or a cached website result never costs a
+ * website fetch). The signals are then
+ * aggregated into one language and the result is cached: under the stream
+ * (streamCacheKey) when the manifest won, under the domain otherwise.
+ *
+ * @param {Object} channel - Channel object with id, name, tvgId and streamUrl
  * @param {Object} cache - Cache object with get/set/has methods
- * @returns {Promise<{language: string, source: string}>}
+ *   (see helpers/language-cache.js; set(key, language, source, details)
+ *   also receives the confidence and the secondary languages)
+ * @param {Object} options - Detection options
+ * @param {string[]} [options.strategies] - Strategy names in priority order
+ *   (default: CONFIG.strategies)
+ * @param {string[]} [options.disabled] - Strategy names to skip
+ * @param {number} [options.stopConfidence] - Early-exit confidence
+ *   (default: CONFIG.stopConfidence)
+ * @param {Object} [options.http] - HTTP client from createHttpClient, e.g. to
+ *   record or replay the website and manifest requests (default: live)
+ * @param {Object} [options.overrides] - Manual overrides by id or tvgId
+ *   (default: overrides.json)
+ * @param {Function} [options.fetchWebsite] - Replacement for fetchWebsite(domain),
+ *   e.g. to read saved HTML snapshots instead of the network
+ * @returns {Promise<{language: string, languages: string[], source: string, confidence: number, signals: Object[]}>}
+ *   languages lists every language of the channel, primary (language) first;
+ *   signals lists every strategy that ran ({ strategy, language, confidence,
+ *   weight, evidence, error }), including those without an opinion
+ * @throws {Error} If a strategy name is not registered
  */
-async function detectLanguage(channel, cache) {
+async function detectLanguage(channel, cache, options = {}) {
   const domain = extractDomain(channel.tvgId)
+  const disabled = options.disabled || []
+  const stopConfidence = options.stopConfidence ?? CONFIG.stopConfidence
+  const names = (options.strategies || CONFIG.strategies).filter(
+    (name) => !disabled.includes(name),
+  )
 
-  // Strategy 0: Check for EXPLICIT language mention in channel name (HIGHEST PRIORITY)
-  // Examples: "6 TV Telugu", "Sun TV Tamil", "Zee Hindi"
-  const explicitLang = detectExplicitLanguageInName(channel.name)
-  if (explicitLang) {
-    // Explicit language in name overrides everything else
-    if (domain) {
-      cache.set(domain, explicitLang, 'name-explicit')
-    }
-    return { language: explicitLang, source: 'name-explicit' }
+  const unknown = names.filter((name) => !LANGUAGE_STRATEGIES[name])
+  if (unknown.length > 0) {
+    throw new Error(`Unknown language strategies: ${unknown.join(', ')}`)
   }
 
-  // Strategy 1: Check cache
-  if (domain && cache.has(domain)) {
-    const cached = cache.get(domain)
-    return { language: cached.language, source: `cached-${cached.source}` }
+  const http = options.http || liveClient
+  const context = {
+    channel,
+    domain,
+    streamKey: streamCacheKey(channel.streamUrl),
+    cache,
+    signals: [],
+    fetchWebsite:
+      options.fetchWebsite ||
+      ((target) => fetchWebsite(target, CONFIG.maxRetries, http)),
+    http,
+    overrides: options.overrides || loadOverrides(),
   }
 
-  // Strategy 2: Web-based detection
-  if (domain) {
-    try {
-      const { html } = await fetchWebsite(domain)
-      const detectedLang = detectLanguageFromHTML(html)
+  for (const name of names) {
+    const strategy = LANGUAGE_STRATEGIES[name]
+    const signal = {
+      strategy: name,
+      language: null,
+      confidence: 0,
+      weight: strategy.weight,
+    }
 
-      if (detectedLang && detectedLang !== 'unknown') {
-        cache.set(domain, detectedLang, 'web')
-        return { language: detectedLang, source: 'web' }
+    try {
+      const result = await strategy.detect(context)
+      if (result) {
+        Object.assign(signal, result)
       }
     } catch (error) {
-      // Web detection failed, will fall back to pattern
-      // Note: Logging is handled by the caller
+      // Unreachable website or stream: no opinion, but keep the reason
+      signal.error = error.message
+    }
+    context.signals.push(signal)
+
+    if (
+      signal.language &&
+      (signal.final || signal.confidence >= stopConfidence)
+    ) {
+      break
     }
   }
 
-  // Strategy 3: Pattern-based fallback
-  const patternLang = detectLanguageByPattern(channel.name)
+  const winner = aggregateStrategySignals(context.signals)
+  if (!winner) {
+    return {
+      language: 'unknown',
+      languages: ['unknown'],
+      source: 'none',
+      confidence: 0,
+      signals: context.signals,
+    }
+  }
 
-  if (domain) {
-    cache.set(domain, patternLang, 'pattern')
+  // Overrides are per channel and always re-read, so they are not cached
+  const cacheKey =
+    winner.source === 'stream-manifest' ? context.streamKey : domain
+  if (
+    cacheKey &&
+    cache &&
+    winner.source !== 'manual' &&
+    !winner.source.startsWith('cached-')
+  ) {
+    cache.set(cacheKey, winner.language, winner.source, {
+      confidence: winner.confidence,
+      ...(winner.languages.length > 1 ? { languages: winner.languages } : {}),
+    })
   }
 
-  return { language: patternLang, source: 'pattern' }
+  return { ...winner, signals: context.signals }
 }
 
 // Export all functions and constants
 module.exports = {
   // Configuration
   CONFIG,
+  DETECTOR_VERSION,
   LANGUAGE_CODES,
   ISO_TO_LANGUAGE,
+  FRANC_TO_LANGUAGE_NAME,
   LANGUAGE_PATTERNS,
+  LANGUAGE_STRATEGIES,
 
   // Utility functions
   sleep,
   extractDomain,
+  streamCacheKey,
   normalizeLanguageCode,
 
   // Web fetching
@@ -812,6 +1222,10 @@ module.exports = {
   detectLanguageFromMetadata, // New: Fast metadata-only detection
   detectLanguageFromBodyText, // New: Body text analysis
   detectLanguageFromHTML,
+  detectLanguagesFromManifest,
+  detectLanguageFromManifest,
   detectLanguageByPattern,
+  registerLanguageStrategy,
+  aggregateStrategySignals,
   detectLanguage,
 }
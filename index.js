@@ -0,0 +1,455 @@
+/**
+ * iptv-constants
+ *
+ * Query API over the channel and movie data shipped in this package:
+ * - Channels from tv/*.json (loaded lazily, once)
+ * - Language indexes from tv/language/*.json
+ * - Country list from tv/country/_meta.json
+ * - YouTube movies from youtube-movies/<language>/_meta.json
+ * - Now/next guide data from epg/ (see scripts/ingest-epg.js)
+ * - Stream sources with failover (see helpers/sources.js)
+ * - Ids of merged channels from aliases.json (see scripts/dedupe.js)
+ *
+ * Every channel query accepts the same composable filters:
+ *   { language: 'tamil', category: 'news', country: 'in', isActive: true }
+ *
+ * Usage:
+ *   const iptv = require('iptv-constants')
+ *   iptv.getChannelsByLanguage('tamil', { category: 'news' })
+ *   iptv.getMovies('tamil')
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { loadAliases, resolveAlias } = require('./helpers/aliases')
+const { channelCategories } = require('./helpers/categories')
+const { findNowNext } = require('./helpers/epg')
+const { channelLanguages } = require('./helpers/languages')
+const { channelSources, pickBestSource } = require('./helpers/sources')
+const {
+  ALIASES_FILE,
+  COUNTRY_DIR,
+  EPG_DIR,
+  LANGUAGE_DIR,
+  MOVIES_DIR,
+  TV_DIR,
+  listChannelIds,
+  readChannel,
+  readJson,
+} = require('./helpers/channel-store')
+
+// Lazily populated caches
+const state = {
+  channels: new Map(), // id -> channel record
+  catalogLoaded: false,
+  languageIndexes: new Map(), // language -> [ids]
+  buildOptions: undefined, // tv/language/_build.json (null when missing)
+  movies: new Map(), // language -> [movie records]
+  nowNext: null, // epg/now-next.json
+  programmes: new Map(), // id -> [programmes]
+  aliases: null, // aliases.json
+}
+
+/**
+ * Load a single channel into the cache
+ * @param {string} id - Channel id (or the retired id of a merged channel)
+ * @returns {Object|null} - Cached channel record or null
+ */
+function loadChannel(id) {
+  if (state.channels.has(id)) {
+    return state.channels.get(id)
+  }
+  if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+    return null
+  }
+
+  const channel = readChannel(id, TV_DIR)
+  if (channel) {
+    state.channels.set(id, channel)
+    return channel
+  }
+
+  if (!state.aliases) {
+    state.aliases = loadAliases(ALIASES_FILE, { reload: true })
+  }
+  const target = resolveAlias(id, state.aliases)
+  return target !== id ? loadChannel(target) : null
+}
+
+/**
+ * Load every channel file into the cache
+ * @returns {Object[]} - All cached channel records
+ */
+function loadCatalog() {
+  if (!state.catalogLoaded) {
+    listChannelIds(TV_DIR).forEach(loadChannel)
+    state.catalogLoaded = true
+  }
+  return [...state.channels.values()]
+}
+
+/**
+ * Read the options the language indexes were built with
+ * @returns {{minUptime: number|null, uptimeWindow: string, fields: string[]}|
+ *   null} - tv/language/_build.json, null when it does not exist
+ */
+function loadBuildOptions() {
+  if (state.buildOptions === undefined) {
+    const buildFile = path.join(LANGUAGE_DIR, '_build.json')
+    state.buildOptions = fs.existsSync(buildFile) ? readJson(buildFile) : null
+  }
+  return state.buildOptions
+}
+
+/**
+ * Check whether the language indexes list exactly the active channels
+ *
+ * Indexes built with --min-uptime keep channels by uptime instead, and
+ * indexes built with --fields may leave out the id.
+ *
+ * @returns {boolean}
+ */
+function languageIndexesListActive() {
+  const options = loadBuildOptions()
+  return Boolean(
+    options && options.minUptime === null && options.fields.includes('id'),
+  )
+}
+
+/**
+ * Read the ids listed in tv/language/<language>.json
+ * @param {string} language - Language name (e.g., "tamil")
+ * @returns {string[]|null} - Channel ids or null if there is no index
+ */
+function loadLanguageIndex(language) {
+  if (state.languageIndexes.has(language)) {
+    return state.languageIndexes.get(language)
+  }
+
+  const indexFile = path.join(LANGUAGE_DIR, `${language}.json`)
+  const ids = fs.existsSync(indexFile)
+    ? readJson(indexFile).map((entry) => entry.id)
+    : null
+
+  state.languageIndexes.set(language, ids)
+  return ids
+}
+
+/**
+ * Check a channel against a filter object
+ * @param {Object} channel - Channel record
+ * @param {Object} filters - Filters to apply
+ * @param {string} [filters.language] - Language name (primary or secondary)
+ * @param {string} [filters.category] - Category id (primary or secondary)
+ * @param {string} [filters.country] - ISO 3166-1 alpha-2 code (e.g., "in")
+ * @param {boolean} [filters.isActive] - Active state
+ * @returns {boolean} - True if the channel passes every filter
+ */
+function matchesFilters(channel, filters = {}) {
+  if (
+    filters.language &&
+    !channelLanguages(channel).includes(filters.language.toLowerCase())
+  ) {
+    return false
+  }
+  if (
+    filters.category &&
+    !channelCategories(channel).includes(filters.category)
+  ) {
+    return false
+  }
+  if (
+    filters.country &&
+    (channel.country || '') !== filters.country.toLowerCase()
+  ) {
+    return false
+  }
+  if (
+    typeof filters.isActive === 'boolean' &&
+    (channel.isActive === true) !== filters.isActive
+  ) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Pick the smallest candidate set for the given filters
+ *
+ * Language indexes built with the default filter list exactly the active
+ * channels, so they are used as a shortcut for active-only queries while the
+ * full catalog is not loaded yet. Other indexes are never used.
+ *
+ * @param {Object} filters - Filters to apply
+ * @returns {Object[]} - Candidate channel records
+ */
+function candidateChannels(filters) {
+  if (
+    !state.catalogLoaded &&
+    filters.language &&
+    filters.isActive === true &&
+    languageIndexesListActive()
+  ) {
+    const ids = loadLanguageIndex(filters.language.toLowerCase())
+    if (ids) {
+      return ids.map(loadChannel).filter(Boolean)
+    }
+  }
+  return loadCatalog()
+}
+
+/**
+ * Get channels matching the given filters
+ * @param {Object} filters - Filters (language, category, country, isActive)
+ * @returns {Object[]} - Channel records sorted by id
+ */
+function getChannels(filters = {}) {
+  return candidateChannels(filters)
+    .filter((channel) => matchesFilters(channel, filters))
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((channel) => ({ ...channel }))
+}
+
+/**
+ * Get a single channel by id
+ *
+ * The id of a channel merged into another one returns the merged channel.
+ *
+ * @param {string} id - Channel id (e.g., "aaj-tak")
+ * @returns {Object|null} - Channel record or null
+ */
+function getChannelById(id) {
+  const channel = loadChannel(id)
+  return channel ? { ...channel } : null
+}
+
+/**
+ * Get channels for a language
+ * @param {string} language - Language name (e.g., "tamil")
+ * @param {Object} filters - Additional filters (category, isActive)
+ * @returns {Object[]} - Channel records
+ */
+function getChannelsByLanguage(language, filters = {}) {
+  return getChannels({ ...filters, language })
+}
+
+/**
+ * Get channels for a category
+ * @param {string} category - Category id (e.g., "news")
+ * @param {Object} filters - Additional filters (language, isActive)
+ * @returns {Object[]} - Channel records
+ */
+function getChannelsByCategory(category, filters = {}) {
+  return getChannels({ ...filters, category })
+}
+
+/**
+ * Get channels for a country
+ * @param {string} country - ISO 3166-1 alpha-2 code (e.g., "in")
+ * @param {Object} filters - Additional filters (language, category, isActive)
+ * @returns {Object[]} - Channel records
+ */
+function getChannelsByCountry(country, filters = {}) {
+  return getChannels({ ...filters, country })
+}
+
+/**
+ * Get active channels
+ * @param {Object} filters - Additional filters (language, category)
+ * @returns {Object[]} - Channel records with isActive: true
+ */
+function getActiveChannels(filters = {}) {
+  return getChannels({ ...filters, isActive: true })
+}
+
+/**
+ * Get the countries listed in tv/country/_meta.json
+ * @returns {Array<{code: string, name: string, count: number}>}
+ */
+function getCountries() {
+  const metaFile = path.join(COUNTRY_DIR, '_meta.json')
+  return fs.existsSync(metaFile) ? readJson(metaFile) : []
+}
+
+/**
+ * Get the stream sources of a channel
+ * @param {string} id - Channel id
+ * @returns {Object[]} - Sources sorted by priority (streamUrl as the only
+ *   source for records without a sources array; empty for unknown ids)
+ */
+function getSources(id) {
+  const channel = loadChannel(id)
+  return channel ? channelSources(channel).map((source) => ({ ...source })) : []
+}
+
+/**
+ * Get the source to play for a channel
+ *
+ * Failover: the highest-priority source that did not fail its last check.
+ *
+ * @param {string} id - Channel id
+ * @returns {Object|null} - Source ({ url, quality, headers, ... }) or null
+ */
+function getBestSource(id) {
+  const channel = loadChannel(id)
+  const source = channel ? pickBestSource(channel) : null
+  return source ? { ...source } : null
+}
+
+/**
+ * Get the languages listed in tv/language/_meta.json
+ * @returns {Array<{name: string, nativeName: string, slug: string,
+ *   iso639_1: string|null, iso639_3: string|null, count: number,
+ *   total: number}>}
+ */
+function getLanguages() {
+  const metaFile = path.join(LANGUAGE_DIR, '_meta.json')
+  return fs.existsSync(metaFile) ? readJson(metaFile) : []
+}
+
+/**
+ * Load the movies of one language from youtube-movies/<language>/
+ * @param {string} language - Language name (e.g., "tamil")
+ * @returns {Object[]} - Movie records in _meta.json order
+ */
+function loadMovies(language) {
+  if (state.movies.has(language)) {
+    return state.movies.get(language)
+  }
+
+  const languageDir = path.join(MOVIES_DIR, language)
+  const metaFile = path.join(languageDir, '_meta.json')
+  const movies = fs.existsSync(metaFile)
+    ? readJson(metaFile).map((entry) => {
+        const movieFile = path.join(languageDir, `${entry.id}.json`)
+        const details = fs.existsSync(movieFile) ? readJson(movieFile) : {}
+        return { ...entry, ...details, language }
+      })
+    : []
+
+  state.movies.set(language, movies)
+  return movies
+}
+
+/**
+ * Get YouTube movies
+ * @param {string} [language] - Language name; all languages when omitted
+ * @param {Object} filters - Additional filters (isActive)
+ * @returns {Object[]} - Movie records
+ */
+function getMovies(language, filters = {}) {
+  const languages = language
+    ? [language.toLowerCase()]
+    : fs.existsSync(MOVIES_DIR)
+      ? fs
+          .readdirSync(MOVIES_DIR, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name)
+          .sort()
+      : []
+
+  return languages
+    .flatMap(loadMovies)
+    .filter(
+      (movie) =>
+        typeof filters.isActive !== 'boolean' ||
+        (movie.isActive !== false) === filters.isActive,
+    )
+    .map((movie) => ({ ...movie }))
+}
+
+/**
+ * Get the EPG programmes of a channel
+ * @param {string} id - Channel id
+ * @returns {Object[]} - Programmes sorted by start time (empty without EPG)
+ */
+function getProgrammes(id) {
+  if (!state.programmes.has(id)) {
+    const programmeFile = path.join(EPG_DIR, 'programmes', `${id}.json`)
+    state.programmes.set(
+      id,
+      /^[a-z0-9-]+$/.test(id) && fs.existsSync(programmeFile)
+        ? readJson(programmeFile)
+        : [],
+    )
+  }
+  return state.programmes.get(id).map((programme) => ({ ...programme }))
+}
+
+/**
+ * Get the current and next programme of a channel
+ *
+ * Served from epg/now-next.json while its entry is still current, otherwise
+ * recomputed from the channel's programme list.
+ *
+ * @param {string} id - Channel id
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {{now: Object|null, next: Object|null}|null} - null without EPG
+ */
+function getNowNext(id, now = Date.now()) {
+  if (!state.nowNext) {
+    const indexFile = path.join(EPG_DIR, 'now-next.json')
+    state.nowNext = fs.existsSync(indexFile) ? readJson(indexFile).channels : {}
+  }
+
+  const entry = state.nowNext[id]
+  if (!entry) {
+    return null
+  }
+
+  const isCurrent = (programme) =>
+    programme &&
+    Date.parse(programme.start) <= now &&
+    (!programme.stop || now < Date.parse(programme.stop))
+  if (isCurrent(entry.now)) {
+    return { now: entry.now, next: entry.next }
+  }
+
+  const { now: current, next } = findNowNext(getProgrammes(id), now)
+  const compact = (programme) =>
+    programme
+      ? { title: programme.title, start: programme.start, stop: programme.stop }
+      : null
+  return { now: compact(current), next: compact(next) }
+}
+
+/**
+ * Drop all cached data so the next query re-reads the files
+ */
+function reload() {
+  state.channels.clear()
+  state.catalogLoaded = false
+  state.languageIndexes.clear()
+  state.buildOptions = undefined
+  state.movies.clear()
+  state.nowNext = null
+  state.programmes.clear()
+  state.aliases = null
+}
+
+module.exports = {
+  // Channels
+  getChannels,
+  getChannelById,
+  getChannelsByLanguage,
+  getChannelsByCategory,
+  getChannelsByCountry,
+  getActiveChannels,
+  getLanguages,
+  getCountries,
+
+  // Stream sources
+  getSources,
+  getBestSource,
+
+  // Movies
+  getMovies,
+
+  // EPG
+  getProgrammes,
+  getNowNext,
+
+  // Utilities
+  matchesFilters,
+  reload,
+}
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Channel Categorization Script
+ *
+ * Runs the category classifier (helpers/categories.js) over tv/*.json and
+ * shows which channels would change category. With --write, `categoryId` and
+ * `categories` are updated in place. Entries in overrides.json take
+ * precedence over the classifier and are applied to every written record.
+ *
+ * --verify classifies the known channel → category pairs in
+ * fixtures/categories.json instead and exits non-zero on any mismatch. Run
+ * it after editing the rules or overrides.
+ *
+ * Usage:
+ *   node scripts/categorize.js
+ *   node scripts/categorize.js --write
+ *   node scripts/categorize.js --verify
+ *   node scripts/categorize.js --verify --fixture /tmp/categories.json
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const path = require('path')
+const { applyCategories, classifyChannel } = require('../helpers/categories')
+const {
+  ROOT_DIR,
+  TV_DIR,
+  readAllChannels,
+  readJson,
+  writeChannel,
+} = require('../helpers/channel-store')
+const {
+  findOverride,
+  loadOverrides,
+  withOverrides,
+} = require('../helpers/overrides')
+
+// Configuration
+const CONFIG = {
+  tvDir: TV_DIR,
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'categories.json'),
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{write: boolean, verify: boolean, fixtureFile: string, tvDir: string}}
+ */
+function parseArgs(argv) {
+  const options = {
+    write: argv.includes('--write'),
+    verify: argv.includes('--verify'),
+    fixtureFile: CONFIG.fixtureFile,
+    tvDir: CONFIG.tvDir,
+  }
+
+  const fixtureIndex = argv.indexOf('--fixture')
+  if (fixtureIndex !== -1 && argv[fixtureIndex + 1]) {
+    options.fixtureFile = path.resolve(argv[fixtureIndex + 1])
+  }
+  const tvDirIndex = argv.indexOf('--tv-dir')
+  if (tvDirIndex !== -1 && argv[tvDirIndex + 1]) {
+    options.tvDir = path.resolve(argv[tvDirIndex + 1])
+  }
+
+  return options
+}
+
+/**
+ * Classify the fixture pairs and compare with the expected categories
+ * @param {Array<{channel: Object, categoryId: string, categories?: string[]}>} fixtures
+ * @param {Object} overrides - Overrides by id or tvgId (default: overrides.json)
+ * @returns {Array<{name: string, expected: string, actual: string, signals: Object[]}>}
+ *   Mismatches (empty when every pair passes)
+ */
+function verifyFixtures(fixtures, overrides = loadOverrides()) {
+  const failures = []
+
+  fixtures.forEach(({ channel, categoryId, categories }) => {
+    const result = classifyChannel(channel, {
+      override: findOverride(channel, overrides),
+    })
+    const expected = categories ? categories.join('+') : categoryId
+    const actual = categories ? result.categories.join('+') : result.categoryId
+
+    if (actual !== expected) {
+      failures.push({
+        name: channel.name,
+        expected,
+        actual,
+        signals: result.signals,
+      })
+    }
+  })
+
+  return failures
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const failures = verifyFixtures(fixtures)
+
+    failures.forEach(({ name, expected, actual, signals }) => {
+      console.log(`✗ ${name}: expected ${expected}, got ${actual}`)
+      signals.forEach(({ source, category, weight, match }) => {
+        console.log(`    ${source} "${match}" → ${category} (+${weight})`)
+      })
+    })
+    console.log(
+      `\n📊 ${fixtures.length - failures.length}/${fixtures.length} fixture channels classified as expected`,
+    )
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+
+  const channels = readAllChannels(options.tvDir)
+  const overrides = loadOverrides()
+  const distribution = {}
+  let changed = 0
+
+  channels.forEach((channel) => {
+    const previous = channel.categoryId
+    const result = classifyChannel(channel, {
+      override: findOverride(channel, overrides),
+    })
+    distribution[result.categoryId] = (distribution[result.categoryId] || 0) + 1
+
+    const updated = withOverrides(applyCategories(channel, result), overrides)
+    if (JSON.stringify(updated) === JSON.stringify(channel)) {
+      return
+    }
+    changed++
+    console.log(
+      `✓ ${channel.id}: ${previous} → ${result.categories.join(', ')}`,
+    )
+    if (options.write) {
+      writeChannel(updated, options.tvDir)
+    }
+  })
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Channels: ${channels.length}`)
+  console.log(`   Changed:  ${changed}`)
+
+  console.log(`\n📂 Category Distribution:`)
+  Object.entries(distribution)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([category, count]) => {
+      console.log(`   ${category}: ${count}`)
+    })
+
+  if (!options.write && changed > 0) {
+    console.log('\n💡 Dry run: use --write to update the channel files')
+  }
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  verifyFixtures,
+}
@@ -0,0 +1,799 @@
+#!/usr/bin/env node
+
+/**
+ * Stream Health Check Script
+ *
+ * Probes every channel's stream sources and maintains `isActive` from the
+ * result. A channel with several sources (see helpers/sources.js) is healthy
+ * when any of them is; each source gets its own isActive/lastError.
+ *
+ * A stream is healthy when:
+ * 1. The URL responds with a parseable HLS playlist
+ * 2. For a master playlist, at least one variant playlist resolves
+ * 3. For a media playlist, at least one segment resolves
+ *
+ * Each result is appended to tv/history/<id>.json and the channel file in
+ * tv/ is updated with:
+ * - isActive: false after N consecutive failures, true after M consecutive successes
+ * - lastCheckedAt: ISO timestamp of the probe
+ * - lastError: failure reason (removed when the stream is healthy)
+ * - uptime: uptime percentage over the last 7 and 30 days
+ * - variants/quality: #EXT-X-STREAM-INF details of a master playlist and the
+ *   normalized quality (SD/HD/FHD/UHD) of its best variant
+ *
+ * An isActive set in overrides.json always wins over the check result.
+ *
+ * --verify probes the manifests in fixtures/streams.json (good, broken, bad
+ * variant, dead segment, slow and 404) from a local HTTP server, parses the
+ * saved playlists in fixtures/hls/, checks the quality mapping, the host
+ * every request is scheduled under and the per-host concurrency cap, runs
+ * the histories in fixtures/uptime.json through the streak, uptime and
+ * activation policy, and exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/check-streams.js
+ *   node scripts/check-streams.js --concurrency 20 --per-host 2 --timeout 5000
+ *   node scripts/check-streams.js --only aaj-tak,zee-news --dry-run
+ *   node scripts/check-streams.js --dir /path/to/tv
+ *   node scripts/check-streams.js --fail-threshold 3 --recover-threshold 2
+ *   node scripts/check-streams.js --verify
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires ../helpers/hls - HLS playlist parser
+ * @requires ../helpers/overrides - Manual overrides (overrides.json)
+ * @requires ../helpers/sources - Stream sources of a channel
+ * @requires ../helpers/uptime - Status history and activation policy
+ * @requires ../logger - Pino logger for structured logging
+ */
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const axios = require('axios')
+const logger = require('../logger')
+const {
+  ROOT_DIR,
+  TV_DIR,
+  listChannelIds,
+  readChannel,
+  readJson,
+  writeChannel,
+} = require('../helpers/channel-store')
+const {
+  inspectVariants,
+  normalizeQuality,
+  parsePlaylist,
+  qualityFromHeight,
+} = require('../helpers/hls')
+const { withOverrides } = require('../helpers/overrides')
+const { channelSources } = require('../helpers/sources')
+const {
+  CONFIG: UPTIME_CONFIG,
+  appendHistory,
+  applyPolicy,
+  currentStreak,
+  summarizeUptime,
+} = require('../helpers/uptime')
+const {
+  CONFIG: WEB_CONFIG,
+} = require('../helpers/websearch-language-detection')
+
+// Configuration
+const CONFIG = {
+  concurrency: 10, // Max requests in flight
+  perHost: 2, // Max requests in flight per host (of each request's own URL)
+  timeout: 10000, // Per-request timeout
+  maxPlaylistBytes: 2 * 1024 * 1024, // Refuse absurdly large playlists
+  userAgent: WEB_CONFIG.userAgent,
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'streams.json'),
+  uptimeFixtureFile: path.join(ROOT_DIR, 'fixtures', 'uptime.json'),
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    concurrency: CONFIG.concurrency,
+    perHost: CONFIG.perHost,
+    timeout: CONFIG.timeout,
+    only: null,
+    dryRun: false,
+    tvDir: TV_DIR,
+    historyDir: null,
+    failuresToDeactivate: UPTIME_CONFIG.failuresToDeactivate,
+    successesToReactivate: UPTIME_CONFIG.successesToReactivate,
+    verify: false,
+    fixtureFile: CONFIG.fixtureFile,
+    uptimeFixtureFile: CONFIG.uptimeFixtureFile,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--concurrency') {
+      options.concurrency = Number(argv[++i])
+    } else if (arg === '--per-host') {
+      options.perHost = Number(argv[++i])
+    } else if (arg === '--timeout') {
+      options.timeout = Number(argv[++i])
+    } else if (arg === '--only') {
+      options.only = argv[++i].split(',').map((id) => id.trim())
+    } else if (arg === '--dir') {
+      options.tvDir = argv[++i]
+    } else if (arg === '--history-dir') {
+      options.historyDir = argv[++i]
+    } else if (arg === '--fail-threshold') {
+      options.failuresToDeactivate = Number(argv[++i])
+    } else if (arg === '--recover-threshold') {
+      options.successesToReactivate = Number(argv[++i])
+    } else if (arg === '--dry-run') {
+      options.dryRun = true
+    } else if (arg === '--verify') {
+      options.verify = true
+    } else if (arg === '--fixture') {
+      options.fixtureFile = path.resolve(argv[++i])
+    } else if (arg === '--uptime-fixture') {
+      options.uptimeFixtureFile = path.resolve(argv[++i])
+    }
+  }
+
+  return options
+}
+
+/**
+ * Create a task runner with a global and a per-host concurrency limit
+ * @param {{concurrency: number, perHost: number}} limits - Concurrency limits
+ * @returns {function(string, function(): Promise): Promise} - schedule(host, task)
+ */
+function createHostLimiter({ concurrency, perHost }) {
+  const queue = []
+  const hostActive = new Map()
+  let active = 0
+
+  function next() {
+    for (let i = 0; i < queue.length && active < concurrency; i++) {
+      const job = queue[i]
+      if ((hostActive.get(job.host) || 0) >= perHost) {
+        continue
+      }
+
+      queue.splice(i, 1)
+      i--
+      active++
+      hostActive.set(job.host, (hostActive.get(job.host) || 0) + 1)
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--
+          hostActive.set(job.host, hostActive.get(job.host) - 1)
+          next()
+        })
+    }
+  }
+
+  return (host, task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ host, task, resolve, reject })
+      next()
+    })
+}
+
+/**
+ * Describe a failed request as a short reason string
+ * @param {Error} error - axios error
+ * @returns {string} - Failure reason
+ */
+function describeError(error) {
+  if (error.response) {
+    return `http-${error.response.status}`
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED') {
+    return 'timeout'
+  }
+  return error.code ? error.code.toLowerCase() : error.message
+}
+
+/**
+ * Run a request with an overall deadline (covers slow bodies too)
+ * @param {Object} requestConfig - axios request config
+ * @param {number} timeout - Deadline in milliseconds
+ * @returns {Promise<Object>} - axios response
+ */
+async function requestWithDeadline(requestConfig, timeout) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+  try {
+    return await axios({
+      ...requestConfig,
+      timeout,
+      signal: controller.signal,
+      maxRedirects: 5,
+      validateStatus: (status) => status < 400,
+    })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Fetch and parse a playlist
+ * @param {string} url - Playlist URL
+ * @param {Object} options - Probe options (timeout, headers, schedule)
+ * @returns {Promise<Object>} - Parsed playlist (see helpers/hls)
+ */
+async function fetchPlaylist(url, options) {
+  const response = await options.schedule(hostOf(url), () =>
+    requestWithDeadline(
+      {
+        method: 'get',
+        url,
+        headers: options.headers,
+        responseType: 'text',
+        maxContentLength: CONFIG.maxPlaylistBytes,
+      },
+      options.timeout,
+    ),
+  )
+
+  // Use the final URL after redirects to resolve relative URIs
+  const finalUrl = response.request?.res?.responseUrl || url
+  return parsePlaylist(response.data, finalUrl)
+}
+
+/**
+ * Check that a segment resolves without downloading it
+ * @param {string} url - Segment URL
+ * @param {Object} options - Probe options (timeout, headers, schedule)
+ * @returns {Promise<void>}
+ */
+async function touchSegment(url, options) {
+  const response = await options.schedule(hostOf(url), () =>
+    requestWithDeadline(
+      {
+        method: 'get',
+        url,
+        headers: { ...options.headers, Range: 'bytes=0-1023' },
+        responseType: 'stream',
+      },
+      options.timeout,
+    ),
+  )
+  response.data.destroy()
+}
+
+/**
+ * Probe a stream URL
+ * @param {string} url - Stream URL (HLS master or media playlist)
+ * @param {Object} options - Probe options
+ * @param {number} options.timeout - Per-request timeout
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {function(string, function(): Promise): Promise} [options.schedule] -
+ *   Runs every request under the host of its own URL (see createHostLimiter;
+ *   default: no limit)
+ * @returns {Promise<{ok: boolean, reason: string|null, manifest: Object|null}>}
+ *   manifest holds the inspected variants and quality of a master playlist
+ */
+async function probeStream(url, options = {}) {
+  const probeOptions = {
+    timeout: options.timeout || CONFIG.timeout,
+    headers: { 'User-Agent': CONFIG.userAgent, ...options.headers },
+    schedule: options.schedule || ((_host, task) => task()),
+  }
+
+  let playlist
+  try {
+    playlist = await fetchPlaylist(url, probeOptions)
+  } catch (error) {
+    return {
+      ok: false,
+      reason: error.isAxiosError
+        ? `playlist ${describeError(error)}`
+        : `playlist invalid: ${error.message}`,
+      manifest: null,
+    }
+  }
+
+  if (playlist.type === 'master') {
+    const manifest = inspectVariants(playlist)
+    const failures = []
+    for (const variant of playlist.variants) {
+      try {
+        const media = await fetchPlaylist(variant.uri, probeOptions)
+        if (media.segments.length > 0 || media.variants.length > 0) {
+          return { ok: true, reason: null, manifest }
+        }
+        failures.push('empty')
+      } catch (error) {
+        failures.push(
+          error.isAxiosError ? describeError(error) : 'invalid playlist',
+        )
+      }
+    }
+    return {
+      ok: false,
+      reason: `no variant resolved (${[...new Set(failures)].join(', ')})`,
+      manifest,
+    }
+  }
+
+  if (playlist.segments.length === 0) {
+    return { ok: false, reason: 'playlist has no segments', manifest: null }
+  }
+
+  // Live playlists drop old segments quickly; the newest one is the safest bet
+  const segmentUrl = playlist.segments[playlist.segments.length - 1]
+  try {
+    await touchSegment(segmentUrl, probeOptions)
+    return { ok: true, reason: null, manifest: null }
+  } catch (error) {
+    return {
+      ok: false,
+      reason: `segment ${describeError(error)}`,
+      manifest: null,
+    }
+  }
+}
+
+/**
+ * Get the host of a URL (used for per-host limits)
+ * @param {string} url - Any URL
+ * @returns {string} - Host or the raw value if it is not a URL
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host
+  } catch {
+    return String(url)
+  }
+}
+
+/**
+ * Probe channels, record their history and write the results back
+ * @param {string[]} ids - Channel ids to check
+ * @param {Object} options - Options from parseArgs()
+ * @returns {Promise<{healthy: number, failed: number, deactivated: number, reactivated: number, reasons: Object}>}
+ */
+async function checkChannels(ids, options) {
+  const schedule = createHostLimiter(options)
+  const historyDir = options.historyDir || path.join(options.tvDir, 'history')
+  const policy = {
+    failuresToDeactivate:
+      options.failuresToDeactivate || UPTIME_CONFIG.failuresToDeactivate,
+    successesToReactivate:
+      options.successesToReactivate || UPTIME_CONFIG.successesToReactivate,
+  }
+  const stats = {
+    healthy: 0,
+    failed: 0,
+    deactivated: 0,
+    reactivated: 0,
+    reasons: {},
+  }
+
+  await Promise.all(
+    ids.map(async (id) => {
+      const channel = readChannel(id, options.tvDir)
+      // Channels removed from the source playlist stay inactive
+      if (!channel || !channel.streamUrl || channel.removedAt) {
+        return
+      }
+
+      const startTime = Date.now()
+
+      // Probe every source in priority order; the first healthy one decides.
+      // Each request waits for a slot on its own host, so sources, variants
+      // and segments served from other hosts are limited too
+      const sourceResults = new Map()
+      for (const source of channelSources(channel)) {
+        sourceResults.set(
+          source.url,
+          await probeStream(source.url, {
+            ...options,
+            headers: source.headers,
+            schedule,
+          }),
+        )
+      }
+      const results = [...sourceResults.values()]
+      const result = results.find((item) => item.ok) || results[0]
+      const duration = Date.now() - startTime
+      const checkedAt = new Date().toISOString()
+
+      if (result.ok) {
+        stats.healthy++
+      } else {
+        stats.failed++
+        stats.reasons[result.reason] = (stats.reasons[result.reason] || 0) + 1
+      }
+
+      logger.info(
+        {
+          channelId: id,
+          ok: result.ok,
+          reason: result.reason || undefined,
+          sources: results.length > 1 ? results.length : undefined,
+          duration: `${duration}ms`,
+        },
+        result.ok ? '✓ Stream healthy' : '✗ Stream failed',
+      )
+
+      if (options.dryRun) {
+        return
+      }
+
+      const history = appendHistory(
+        id,
+        { checkedAt, ok: result.ok, reason: result.reason },
+        historyDir,
+      )
+
+      // Re-read so edits made while probing are not lost
+      const current = readChannel(id, options.tvDir) || channel
+      const wasActive = current.isActive === true
+      current.isActive = applyPolicy(wasActive, history, policy)
+      current.lastCheckedAt = checkedAt
+      if (result.ok) {
+        delete current.lastError
+      } else {
+        current.lastError = result.reason
+      }
+      current.uptime = summarizeUptime(history, Date.parse(checkedAt))
+      if (Array.isArray(current.sources)) {
+        current.sources = current.sources.map((source) => {
+          const sourceResult = sourceResults.get(source.url)
+          if (!sourceResult) {
+            return source
+          }
+          const { lastError, ...rest } = source
+          return sourceResult.ok
+            ? { ...rest, isActive: true }
+            : { ...rest, isActive: false, lastError: sourceResult.reason }
+        })
+      }
+      // variants/quality describe streamUrl, i.e. the primary source
+      const { manifest } = results[0]
+      if (manifest && manifest.variants.length > 0) {
+        current.variants = manifest.variants
+        if (manifest.quality) {
+          current.quality = manifest.quality
+        }
+      }
+      const updated = withOverrides(current)
+      writeChannel(updated, options.tvDir)
+
+      if (wasActive && !updated.isActive) {
+        stats.deactivated++
+        logger.info({ channelId: id }, '⏸  Channel deactivated')
+      } else if (!wasActive && updated.isActive) {
+        stats.reactivated++
+        logger.info({ channelId: id }, '▶  Channel reactivated')
+      }
+    }),
+  )
+
+  return stats
+}
+
+/**
+ * Start a local HTTP server that stands in for the stream hosts
+ * @param {Array<{path: string, status?: number, body: string|string[],
+ *   delay?: number}>} routes - Fixture routes (other paths answer 404)
+ * @param {string} [mirrorUrl] - Base URL that replaces "{{mirror}}" in the
+ *   bodies, to point at a second host
+ * @returns {Promise<{baseUrl: string, close: function(): Promise<void>}>}
+ */
+async function startManifestServer(routes, mirrorUrl = '') {
+  const byPath = new Map(routes.map((route) => [route.path, route]))
+  const timers = new Set()
+
+  const server = http.createServer((request, response) => {
+    const route = byPath.get(request.url) || { status: 404, body: '' }
+    const body = (
+      Array.isArray(route.body) ? route.body.join('\n') : route.body
+    ).replaceAll('{{mirror}}', mirrorUrl)
+    const timer = setTimeout(() => {
+      timers.delete(timer)
+      response.writeHead(route.status || 200, {
+        'content-type': 'application/vnd.apple.mpegurl',
+      })
+      response.end(body)
+    }, route.delay || 0)
+    timers.add(timer)
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      timers.forEach(clearTimeout)
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+/**
+ * Check that the host limiter never exceeds its limits
+ * @param {{concurrency: number, perHost: number, tasks: Object<string,
+ *   number>}} fixture - Limits and the number of tasks per host
+ * @returns {Promise<string[]>} - Failure descriptions
+ */
+async function verifyLimiter(fixture) {
+  const schedule = createHostLimiter(fixture)
+  const inFlight = new Map()
+  const peak = new Map()
+  let active = 0
+  let peakActive = 0
+  let done = 0
+
+  const jobs = Object.entries(fixture.tasks).flatMap(([host, count]) =>
+    Array.from({ length: count }, () =>
+      schedule(host, async () => {
+        active++
+        inFlight.set(host, (inFlight.get(host) || 0) + 1)
+        peakActive = Math.max(peakActive, active)
+        peak.set(host, Math.max(peak.get(host) || 0, inFlight.get(host)))
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        inFlight.set(host, inFlight.get(host) - 1)
+        active--
+        done++
+      }),
+    ),
+  )
+  await Promise.all(jobs)
+
+  const failures = []
+  if (done !== jobs.length) {
+    failures.push(`limiter: ${done}/${jobs.length} tasks ran`)
+  }
+  if (peakActive > fixture.concurrency) {
+    failures.push(
+      `limiter: ${peakActive} tasks in flight, limit ${fixture.concurrency}`,
+    )
+  }
+  peak.forEach((count, host) => {
+    if (count > fixture.perHost) {
+      failures.push(
+        `limiter: ${count} tasks in flight on ${host}, limit ${fixture.perHost}`,
+      )
+    }
+  })
+  return failures
+}
+
+/**
+ * Check the playlist parser against saved playlists
+ * @param {Array<{file: string, baseUrl: string, expect: Object}>} manifests -
+ *   Playlist files (relative to fixtureDir) and their expected type, URIs,
+ *   variants (best first) and quality
+ * @param {string} fixtureDir - Directory of the fixture file
+ * @returns {string[]} - Failure descriptions
+ */
+function verifyManifests(manifests, fixtureDir) {
+  const failures = []
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+  manifests.forEach(({ file, baseUrl, expect }) => {
+    const playlist = parsePlaylist(
+      fs.readFileSync(path.join(fixtureDir, file), 'utf-8'),
+      baseUrl,
+    )
+    const uris =
+      playlist.type === 'master'
+        ? playlist.variants.map((variant) => variant.uri)
+        : playlist.segments
+    const { variants, quality } = inspectVariants(playlist)
+    const actual = {
+      type: playlist.type,
+      uris,
+      resolutions: variants.map((variant) => variant.resolution),
+      bandwidths: variants.map((variant) => variant.bandwidth),
+      quality,
+    }
+    Object.keys(expect).forEach((field) => {
+      if (!same(actual[field], expect[field])) {
+        failures.push(
+          `${file}: expected ${field} ${JSON.stringify(expect[field])}, got ${JSON.stringify(actual[field])}`,
+        )
+      }
+    })
+  })
+
+  return failures
+}
+
+/**
+ * Check the streak, the uptime windows and the activation policy against
+ * fixture histories
+ * @param {{now: string, policy: Object, cases: Array<{name: string,
+ *   isActive: boolean, history: Array<{daysAgo: number, ok: boolean}>,
+ *   expect: Object}>}} fixtures - Parsed fixtures/uptime.json; expect holds
+ *   any of isActive (after applyPolicy), streak and uptime
+ * @returns {string[]} - Failure descriptions
+ */
+function verifyUptime({ now, policy, cases }) {
+  const failures = []
+  const nowMs = Date.parse(now)
+  const dayMs = 24 * 60 * 60 * 1000
+
+  cases.forEach(({ name, isActive, history, expect }) => {
+    const entries = history.map(({ daysAgo, ok }) => ({
+      checkedAt: new Date(nowMs - daysAgo * dayMs).toISOString(),
+      ok,
+    }))
+    const actual = {
+      isActive: applyPolicy(isActive, entries, policy),
+      streak: currentStreak(entries),
+      uptime: summarizeUptime(entries, nowMs),
+    }
+    Object.keys(expect).forEach((field) => {
+      if (JSON.stringify(actual[field]) !== JSON.stringify(expect[field])) {
+        failures.push(
+          `${name}: expected ${field} ${JSON.stringify(expect[field])}, got ${JSON.stringify(actual[field])}`,
+        )
+      }
+    })
+  })
+
+  return failures
+}
+
+/**
+ * Check the probe, the playlist parser and the host limiter against the
+ * fixtures
+ * @param {{timeout: number, routes: Object[], probes: Object[], manifests:
+ *   Object[], heights: Object<string, string|null>, qualities: Object<string,
+ *   string|null>, limiter: Object}} fixtures - Parsed fixtures/streams.json
+ * @param {string} fixtureDir - Directory the manifest files are relative to
+ * @returns {Promise<string[]>} - Failure descriptions (empty when every
+ *   fixture passes)
+ */
+async function verifyFixtures(
+  fixtures,
+  fixtureDir = path.dirname(CONFIG.fixtureFile),
+) {
+  const failures = verifyManifests(fixtures.manifests, fixtureDir)
+
+  Object.entries(fixtures.heights).forEach(([height, expected]) => {
+    const quality = qualityFromHeight(Number(height))
+    if (quality !== expected) {
+      failures.push(`height ${height}: expected ${expected}, got ${quality}`)
+    }
+  })
+  Object.entries(fixtures.qualities).forEach(([value, expected]) => {
+    const quality = normalizeQuality(value)
+    if (quality !== expected) {
+      failures.push(`quality "${value}": expected ${expected}, got ${quality}`)
+    }
+  })
+
+  // Two servers on different ports are two hosts to the limiter
+  const mirror = await startManifestServer(fixtures.routes)
+  const server = await startManifestServer(fixtures.routes, mirror.baseUrl)
+  const hostNames = {
+    [new URL(server.baseUrl).host]: 'origin',
+    [new URL(mirror.baseUrl).host]: 'mirror',
+  }
+  try {
+    for (const fixture of fixtures.probes) {
+      const hosts = []
+      const result = await probeStream(`${server.baseUrl}${fixture.path}`, {
+        timeout: fixtures.timeout,
+        schedule: (host, task) => {
+          hosts.push(hostNames[host] || host)
+          return task()
+        },
+      })
+      const { expect } = fixture
+      if (expect.hosts && hosts.join(', ') !== expect.hosts.join(', ')) {
+        failures.push(
+          `${fixture.path}: expected requests on ${expect.hosts.join(', ')}, got ${hosts.join(', ')}`,
+        )
+      }
+      const reason = expect.reason ?? null
+      if (result.ok !== expect.ok || result.reason !== reason) {
+        failures.push(
+          `${fixture.path}: expected ${expect.ok ? 'ok' : reason}, got ${result.ok ? 'ok' : result.reason}`,
+        )
+      }
+      const quality = result.manifest?.quality ?? null
+      if (expect.quality !== undefined && quality !== expect.quality) {
+        failures.push(
+          `${fixture.path}: expected quality ${expect.quality}, got ${quality}`,
+        )
+      }
+    }
+  } finally {
+    await server.close()
+    await mirror.close()
+  }
+
+  failures.push(...(await verifyLimiter(fixtures.limiter)))
+  return failures
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const uptimeFixtures = readJson(options.uptimeFixtureFile)
+    const failures = [
+      ...(await verifyFixtures(fixtures, path.dirname(options.fixtureFile))),
+      ...verifyUptime(uptimeFixtures),
+    ]
+    failures.forEach((failure) => {
+      console.log(`✗ ${failure}`)
+    })
+    const total =
+      fixtures.probes.length +
+      fixtures.manifests.length +
+      Object.keys(fixtures.heights).length +
+      Object.keys(fixtures.qualities).length +
+      uptimeFixtures.cases.length +
+      1
+    const failed = new Set(failures.map((failure) => failure.split(':')[0]))
+    console.log(`\n📊 ${total - failed.size}/${total} stream fixtures passed`)
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+
+  const ids = options.only || listChannelIds(options.tvDir)
+
+  logger.info(
+    {
+      channels: ids.length,
+      concurrency: options.concurrency,
+      perHost: options.perHost,
+      timeout: options.timeout,
+      dryRun: options.dryRun,
+    },
+    '🩺 Starting stream health check',
+  )
+
+  const startTime = Date.now()
+  const stats = await checkChannels(ids, options)
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1)
+
+  logger.info(
+    {
+      summary: {
+        healthy: stats.healthy,
+        failed: stats.failed,
+        deactivated: stats.deactivated,
+        reactivated: stats.reactivated,
+        duration: `${duration}s`,
+      },
+      reasons: stats.reasons,
+    },
+    '✅ Stream health check complete',
+  )
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error(
+      { error: error.message, stack: error.stack },
+      'Fatal error occurred',
+    )
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  CONFIG,
+  createHostLimiter,
+  probeStream,
+  checkChannels,
+  verifyFixtures,
+  verifyUptime,
+}
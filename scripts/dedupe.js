@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Channel Script
+ *
+ * Lists groups of channel files that look like the same channel, with the
+ * reason for every link (shared stream URL, tvgId, tvgId with another quality
+ * feed, or a similar name; see helpers/dedupe.js). Nothing is written unless
+ * --merge is given.
+ *
+ * With --merge, each group is shown again and merged after confirmation:
+ * - The kept channel (active first, then with a language, then most sources,
+ *   then shortest id; --keep picks it) gets the sources of every channel
+ * - The other files are deleted and their ids are recorded in aliases.json,
+ *   so the query API and later playlist syncs map them to the kept channel
+ * - Their tv/history/<id>.json status histories are merged into the kept
+ *   channel's history, and its uptime is recomputed from the result
+ * Groups whose channels have different languages are listed with the
+ * conflict and never merged, even with --keep.
+ *
+ * --verify runs the detection and merge planning on the channel sets in
+ * fixtures/dedupe.json instead (sets with histories are also merged in a
+ * temporary directory) and exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/dedupe.js
+ *   node scripts/dedupe.js --threshold 0.8 --report /tmp/duplicates.json
+ *   node scripts/dedupe.js --merge
+ *   node scripts/dedupe.js --merge --only wion-adaptive --keep wion --yes
+ *   node scripts/dedupe.js --verify
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires ../helpers/dedupe - Duplicate detection and merging
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const readline = require('readline/promises')
+const { addAliases, loadAliases, writeAliases } = require('../helpers/aliases')
+const {
+  ALIASES_FILE,
+  ROOT_DIR,
+  TV_DIR,
+  channelPath,
+  readAllChannels,
+  readJson,
+  writeChannel,
+  writeJson,
+} = require('../helpers/channel-store')
+const {
+  CONFIG: DEDUPE_CONFIG,
+  choosePrimary,
+  findDuplicateGroups,
+  languageConflict,
+  mergeChannels,
+} = require('../helpers/dedupe')
+const { loadOverrides, withOverrides } = require('../helpers/overrides')
+const {
+  mergeHistories,
+  readHistory,
+  summarizeUptime,
+  writeHistory,
+} = require('../helpers/uptime')
+
+// Configuration
+const CONFIG = {
+  tvDir: TV_DIR,
+  aliasesFile: ALIASES_FILE,
+  threshold: DEDUPE_CONFIG.threshold,
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'dedupe.json'),
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{tvDir: string, aliasesFile: string, threshold: number,
+ *   fixtureFile: string, merge: boolean, verify: boolean, yes: boolean,
+ *   only: string|null, keep: string|null, reportFile: string|null}}
+ */
+function parseArgs(argv) {
+  const options = {
+    ...CONFIG,
+    merge: false,
+    verify: false,
+    yes: false,
+    only: null,
+    keep: null,
+    reportFile: null,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--merge') {
+      options.merge = true
+    } else if (arg === '--verify') {
+      options.verify = true
+    } else if (arg === '--fixture') {
+      options.fixtureFile = path.resolve(argv[++i])
+    } else if (arg === '--yes') {
+      options.yes = true
+    } else if (arg === '--threshold') {
+      options.threshold = Number(argv[++i])
+    } else if (arg === '--only') {
+      options.only = argv[++i]
+    } else if (arg === '--keep') {
+      options.keep = argv[++i]
+    } else if (arg === '--report') {
+      options.reportFile = path.resolve(argv[++i])
+    } else if (arg === '--tv-dir') {
+      options.tvDir = path.resolve(argv[++i])
+    } else if (arg === '--aliases') {
+      options.aliasesFile = path.resolve(argv[++i])
+    }
+  }
+
+  return options
+}
+
+/**
+ * Decide which channel of each group is kept
+ * @param {Array<{ids: string[], links: Object[]}>} groups - From
+ *   findDuplicateGroups()
+ * @param {Map<string, Object>} byId - Channel records by id
+ * @param {string|null} keep - Id to keep when its group contains it
+ * @returns {Array<{keep: string, merge: string[], links: Object[]}|{ids:
+ *   string[], links: Object[], conflict: string}>} - Groups with a language
+ *   conflict get no kept channel and are never merged
+ */
+function planMerges(groups, byId, keep) {
+  return groups.map((group) => {
+    const conflict =
+      group.conflict || languageConflict(group.ids.map((id) => byId.get(id)))
+    if (conflict) {
+      return { ids: group.ids, links: group.links, conflict }
+    }
+    const primary = group.ids.includes(keep)
+      ? byId.get(keep)
+      : choosePrimary(group.ids.map((id) => byId.get(id)))
+    return {
+      keep: primary.id,
+      merge: group.ids.filter((id) => id !== primary.id),
+      links: group.links,
+    }
+  })
+}
+
+/**
+ * Print a planned merge
+ * @param {Object} plan - Merge plan from planMerges()
+ * @param {number} index - Position in the list (1-based)
+ */
+function printPlan(plan, index) {
+  if (plan.conflict) {
+    console.log(
+      `\n${index}. ⚠️  ${plan.ids.join(', ')}: not merged, ${plan.conflict}`,
+    )
+  } else {
+    console.log(`\n${index}. ${plan.keep} ← ${plan.merge.join(', ')}`)
+  }
+  plan.links.forEach(({ ids, reason, detail }) => {
+    console.log(`   ${reason.padEnd(10)} ${detail} (${ids.join(', ')})`)
+  })
+}
+
+/**
+ * Merge one group: write the kept channel and its combined status history,
+ * delete the others with their histories, record aliases
+ * @param {{keep: string, merge: string[]}} plan - Merge plan
+ * @param {Map<string, Object>} byId - Channel records by id
+ * @param {Object} options - Options from parseArgs()
+ * @returns {Object} - Merged record
+ */
+function applyMerge(plan, byId, options) {
+  const merged = withOverrides(
+    mergeChannels(
+      byId.get(plan.keep),
+      plan.merge.map((id) => byId.get(id)),
+    ),
+  )
+
+  // Uptime as of the newest check, like check-streams.js computes it
+  const historyDir = path.join(options.tvDir, 'history')
+  const history = mergeHistories(
+    [plan.keep, ...plan.merge].map((id) => readHistory(id, historyDir)),
+  )
+  if (history.length > 0) {
+    writeHistory(plan.keep, history, historyDir)
+    merged.uptime = summarizeUptime(
+      history,
+      new Date(history[history.length - 1].checkedAt).getTime(),
+    )
+  }
+
+  writeChannel(merged, options.tvDir)
+  plan.merge.forEach((id) => {
+    fs.rmSync(channelPath(id, options.tvDir))
+    fs.rmSync(path.join(historyDir, `${id}.json`), { force: true })
+  })
+  writeAliases(
+    addAliases(loadAliases(options.aliasesFile), plan.merge, plan.keep),
+    options.aliasesFile,
+  )
+  return merged
+}
+
+/**
+ * Merge a fixture channel set with its histories in a temporary directory
+ * @param {{channels: Object[], histories: Object<string, Array>, expect:
+ *   Array<{ids: string[], keep: string}>}} fixture - The first expected
+ *   group is merged
+ * @returns {{history: string, uptime: string, leftover: string}} - Merged
+ *   history ("<checkedAt> ok|fail", ";"-separated), uptime of the kept
+ *   record and the merged ids whose history file is still there
+ */
+function mergeFixtureHistories({ channels, histories, expect }) {
+  const tvDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-'))
+  const historyDir = path.join(tvDir, 'history')
+  try {
+    channels.forEach((channel) => {
+      writeChannel(channel, tvDir)
+    })
+    Object.entries(histories).forEach(([id, history]) => {
+      writeHistory(id, history, historyDir)
+    })
+
+    const [{ ids, keep }] = expect
+    const plan = { keep, merge: ids.filter((id) => id !== keep) }
+    const byId = new Map(channels.map((channel) => [channel.id, channel]))
+    const merged = applyMerge(plan, byId, {
+      tvDir,
+      aliasesFile: path.join(tvDir, 'aliases.json'),
+    })
+
+    return {
+      history: readHistory(keep, historyDir)
+        .map((item) => `${item.checkedAt} ${item.ok ? 'ok' : 'fail'}`)
+        .join('; '),
+      uptime: JSON.stringify(merged.uptime ?? null),
+      leftover: plan.merge
+        .filter((id) => fs.existsSync(path.join(historyDir, `${id}.json`)))
+        .join(', '),
+    }
+  } finally {
+    fs.rmSync(tvDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Plan the fixture channel sets and compare with the expected plans
+ * @param {Array<{name: string, channels: Object[], keep?: string, expect:
+ *   Array<{ids: string[], keep?: string, conflict?: boolean}>, histories?:
+ *   Object<string, Array>, merged?: {history: Array, uptime: Object}}>}
+ *   fixtures - expect lists every group, by its sorted ids, with the kept
+ *   channel or conflict: true; sets with histories are merged too and
+ *   compared with merged (the kept channel's history and uptime)
+ * @returns {Array<{name: string, expected: string, actual: string}>}
+ *   Mismatches (empty when every set passes)
+ */
+function verifyFixtures(fixtures) {
+  const failures = []
+  const describe = (plans) =>
+    plans
+      .map((plan) =>
+        plan.conflict
+          ? `${plan.ids.join('+')} (conflict)`
+          : `${[plan.keep, ...plan.merge].sort().join('+')} → ${plan.keep}`,
+      )
+      .join('; ') || 'no groups'
+
+  fixtures.forEach((fixture) => {
+    const { name, channels, keep, expect } = fixture
+    const byId = new Map(channels.map((channel) => [channel.id, channel]))
+    const plans = planMerges(findDuplicateGroups(channels), byId, keep || null)
+    const expected = describe(
+      expect.map((group) =>
+        group.conflict
+          ? { ids: group.ids, conflict: true }
+          : {
+              keep: group.keep,
+              merge: group.ids.filter((id) => id !== group.keep),
+            },
+      ),
+    )
+    const actual = describe(plans)
+    if (actual !== expected) {
+      failures.push({ name, expected, actual })
+    }
+
+    if (fixture.histories) {
+      const result = mergeFixtureHistories(fixture)
+      const checks = {
+        history: fixture.merged.history
+          .map((item) => `${item.checkedAt} ${item.ok ? 'ok' : 'fail'}`)
+          .join('; '),
+        uptime: JSON.stringify(fixture.merged.uptime),
+        leftover: '',
+      }
+      Object.entries(checks).forEach(([field, value]) => {
+        if (result[field] !== value) {
+          failures.push({
+            name,
+            expected: `${field} ${value || 'none'}`,
+            actual: result[field] || 'none',
+          })
+        }
+      })
+    }
+  })
+
+  return failures
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const failures = verifyFixtures(fixtures)
+    failures.forEach(({ name, expected, actual }) => {
+      console.log(`✗ ${name}: expected ${expected}, got ${actual}`)
+    })
+    const failed = new Set(failures.map(({ name }) => name)).size
+    console.log(
+      `\n📊 ${fixtures.length - failed}/${fixtures.length} fixture channel sets planned as expected`,
+    )
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+
+  if (options.merge && !options.yes && !process.stdin.isTTY) {
+    console.error('✗ --merge asks for confirmation; pass --yes to skip it')
+    process.exit(1)
+  }
+
+  const channels = readAllChannels(options.tvDir)
+  const byId = new Map(channels.map((channel) => [channel.id, channel]))
+  if (options.keep && !byId.has(options.keep)) {
+    console.error(`✗ Unknown channel for --keep: ${options.keep}`)
+    process.exit(1)
+  }
+
+  const groups = findDuplicateGroups(channels, {
+    threshold: options.threshold,
+  }).filter((group) => !options.only || group.ids.includes(options.only))
+  const plans = planMerges(groups, byId, options.keep)
+
+  const channelCount = groups.reduce((sum, group) => sum + group.ids.length, 0)
+  console.log(
+    `🔍 Found ${groups.length} duplicate groups (${channelCount} channels) in ${channels.length} channels`,
+  )
+
+  if (options.reportFile) {
+    writeJson(options.reportFile, {
+      generatedAt: new Date().toISOString(),
+      threshold: options.threshold,
+      groups: plans,
+    })
+  }
+
+  if (!options.merge) {
+    plans.forEach((plan, index) => {
+      printPlan(plan, index + 1)
+    })
+    if (options.reportFile) {
+      console.log(`\n📝 Report written to ${options.reportFile}`)
+    }
+    if (plans.some((plan) => !plan.conflict)) {
+      console.log('\n💡 Use --merge to merge groups after confirmation')
+    }
+    return
+  }
+
+  const prompt = options.yes
+    ? null
+    : readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      })
+  const overrides = loadOverrides()
+  let merged = 0
+  let refused = 0
+
+  for (const [index, plan] of plans.entries()) {
+    printPlan(plan, index + 1)
+    if (plan.conflict) {
+      refused++
+      continue
+    }
+    if (prompt) {
+      const answer = await prompt.question(`   Merge into ${plan.keep}? [y/N] `)
+      if (!/^y(es)?$/i.test(answer.trim())) {
+        console.log('   ⏭  Skipped')
+        continue
+      }
+    }
+
+    const record = applyMerge(plan, byId, options)
+    merged++
+    console.log(
+      `   ✓ Merged into ${plan.keep} (${record.sources?.length || 1} sources)`,
+    )
+    plan.merge
+      .filter((id) => overrides[id])
+      .forEach((id) => {
+        console.log(
+          `   ⚠️  overrides.json has an entry for ${id}; move it to ${plan.keep}`,
+        )
+      })
+  }
+  prompt?.close()
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Groups: ${plans.length}`)
+  console.log(`   Merged: ${merged}`)
+  if (refused > 0) {
+    console.log(`   Not merged (language conflict): ${refused}`)
+  }
+  if (merged > 0) {
+    console.log(
+      '\n💡 Run npm run group to refresh the indexes, then npm run validate',
+    )
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('✗ Fatal error:', error.message)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  parseArgs,
+  planMerges,
+  applyMerge,
+  verifyFixtures,
+}
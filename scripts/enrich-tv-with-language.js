@@ -7,24 +7,69 @@
  * the websearch-language-detection helper module.
  *
  * Workflow:
- * 1. Loads TV channels from data/in.json
+ * 1. Loads TV channels from data/channels.json
  * 2. Processes channels in batches with concurrent workers
  * 3. Detects language using helper module (web crawling, text analysis, pattern matching)
- * 4. Updates both data/in.json and individual channel files in tv/
- * 5. Caches results to avoid repeated requests
+ * 4. Updates both data/channels.json and individual channel files in tv/
+ *    (manual overrides from overrides.json always win, see helpers/overrides.js)
+ * 5. Caches results by domain (manifest results by stream) with their source,
+ *    confidence and detector version; entries expire per source (see
+ *    helpers/language-cache.js)
  * 6. Provides detailed progress logging and statistics
  *
- * Detection Strategy Priority:
- * - Cache → Web (metadata) → Web (franc) → Pattern matching
+ * Detection Strategy Priority (CONFIG.strategies, see LANGUAGE_STRATEGIES):
+ * - Manual override → Explicit name → Cache → Stream manifest → Web → Pattern →
+ *   Hindi default
+ *
+ * Usage:
+ *   node scripts/enrich-tv-with-language.js
+ *   node scripts/enrich-tv-with-language.js --strategies name-explicit,web,pattern
+ *   node scripts/enrich-tv-with-language.js --disable pattern-default
+ *   node scripts/enrich-tv-with-language.js --http record
+ *   node scripts/enrich-tv-with-language.js --http replay --http-fixtures /tmp/web
+ *   node scripts/enrich-tv-with-language.js --verify
+ *
+ * HTTP modes (see helpers/http.js):
+ * - live    Fetch websites and stream manifests from the network (default)
+ * - record  Same, and save every response to fixtures/http/
+ * - replay  Serve the saved responses only; URLs never recorded fail (counted
+ *           as replay misses). The cache strategy is skipped so every channel
+ *           is detected from the snapshot.
+ *
+ * --verify checks the record/replay adapter against a local HTTP server
+ * (routes and requests in fixtures/http-replay.json): every response and
+ * failure is recorded to a temporary directory, then replayed with the server
+ * stopped and compared with the recorded one, and a URL that was never
+ * recorded must fail with HTTP_REPLAY_MISS. It exits non-zero on any mismatch.
  *
  * @author Senior Backend Automation Engineer
  * @requires ../helpers/websearch-language-detection - Language detection module
+ * @requires ../helpers/http - Record/replay HTTP adapter
+ * @requires ../helpers/language-cache - Versioned, expiring language cache
  * @requires ../logger - Pino logger for structured logging
  */
 
 const fs = require('fs')
+const { createServer } = require('http')
+const os = require('os')
 const path = require('path')
 const logger = require('../logger') // Import the pino logger
+const {
+  CHANNELS_FILE,
+  ROOT_DIR,
+  readJson,
+} = require('../helpers/channel-store')
+const { CONFIG: HTTP_CONFIG, createHttpClient } = require('../helpers/http')
+const {
+  CONFIG: CACHE_CONFIG,
+  LanguageCache,
+} = require('../helpers/language-cache')
+const { applyLanguages } = require('../helpers/languages')
+const {
+  findOverride,
+  loadOverrides,
+  withOverrides,
+} = require('../helpers/overrides')
 const {
   CONFIG: WEB_CONFIG,
   ISO_TO_LANGUAGE,
@@ -35,88 +80,96 @@ const {
 // Configuration
 const CONFIG = {
   rateLimitDelay: 200, // 200ms between batches
-  cacheFile: '.language-cache.json', // Cache file path
+  cacheFile: CACHE_CONFIG.cacheFile, // Cache file path (see helpers/language-cache.js)
   maxConcurrent: 15, // Max concurrent requests
   cacheSaveInterval: 20, // Save cache every N operations
-  ...WEB_CONFIG, // Inherit web-related config from helper
+  disabledStrategies: [], // Detection strategies to skip
+  httpMode: 'live', // live, record or replay (see helpers/http.js)
+  httpFixtureDir: HTTP_CONFIG.fixtureDir, // Recorded responses
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'http-replay.json'), // --verify
+  ...WEB_CONFIG, // Inherit web-related config (and strategy order) from helper
 }
 
-// Cache management
-class LanguageCache {
-  constructor(cacheFile) {
-    this.cacheFile = cacheFile
-    this.cache = this.load()
-    this.pendingWrites = 0
-    this.dirty = false
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{strategies: string[], disabled: string[], httpMode: string,
+ *   httpFixtureDir: string, verify: boolean, fixtureFile: string}}
+ */
+function parseArgs(argv) {
+  const options = {
+    strategies: CONFIG.strategies,
+    disabled: CONFIG.disabledStrategies,
+    httpMode: CONFIG.httpMode,
+    httpFixtureDir: CONFIG.httpFixtureDir,
+    verify: argv.includes('--verify'),
+    fixtureFile: CONFIG.fixtureFile,
   }
+  const list = (value) => value.split(',').map((name) => name.trim())
 
-  load() {
-    try {
-      if (fs.existsSync(this.cacheFile)) {
-        return JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'))
-      }
-    } catch (error) {
-      logger.warn({ error: error.message }, 'Failed to load cache')
-    }
-    return {}
+  const strategiesIndex = argv.indexOf('--strategies')
+  if (strategiesIndex !== -1 && argv[strategiesIndex + 1]) {
+    options.strategies = list(argv[strategiesIndex + 1])
   }
-
-  save() {
-    try {
-      fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2))
-      this.dirty = false
-    } catch (error) {
-      logger.error({ error: error.message }, 'Failed to save cache')
-    }
+  const disableIndex = argv.indexOf('--disable')
+  if (disableIndex !== -1 && argv[disableIndex + 1]) {
+    options.disabled = list(argv[disableIndex + 1])
   }
-
-  get(domain) {
-    return this.cache[domain]
+  const httpIndex = argv.indexOf('--http')
+  if (httpIndex !== -1 && argv[httpIndex + 1]) {
+    options.httpMode = argv[httpIndex + 1]
   }
-
-  set(domain, language, source) {
-    this.cache[domain] = { language, source, timestamp: Date.now() }
-    this.dirty = true
-    this.pendingWrites++
-
-    // Batch saves - only save every N operations
-    if (this.pendingWrites >= CONFIG.cacheSaveInterval) {
-      this.save()
-      this.pendingWrites = 0
-    }
+  const fixturesIndex = argv.indexOf('--http-fixtures')
+  if (fixturesIndex !== -1 && argv[fixturesIndex + 1]) {
+    options.httpFixtureDir = path.resolve(argv[fixturesIndex + 1])
   }
-
-  has(domain) {
-    return domain in this.cache
+  const fixtureIndex = argv.indexOf('--fixture')
+  if (fixtureIndex !== -1 && argv[fixtureIndex + 1]) {
+    options.fixtureFile = path.resolve(argv[fixtureIndex + 1])
   }
 
-  // Force save (call at end of script)
-  flush() {
-    if (this.dirty) {
-      this.save()
-      this.pendingWrites = 0
-    }
-  }
+  return options
 }
 
 /**
  * Enrich a single channel (both in-memory and individual file)
  */
-async function enrichChannel(channel, tvDir, cache, stats, progressInfo) {
+async function enrichChannel(
+  channel,
+  tvDir,
+  cache,
+  stats,
+  progressInfo,
+  detectionOptions,
+) {
   try {
-    // Skip if language already exists (except "unknown")
-    if (channel.language && channel.language !== 'unknown') {
+    // Skip if language already exists (except "unknown"), unless a manual
+    // override says otherwise
+    const override = findOverride(channel, detectionOptions.overrides)
+    if (
+      channel.language &&
+      channel.language !== 'unknown' &&
+      (!override?.language || override.language === channel.language)
+    ) {
       stats.skipped++
       return
     }
 
     // Detect language
     const startTime = Date.now()
-    const { language, source } = await detectLanguage(channel, cache)
+    const { language, languages, source, confidence, signals } =
+      await detectLanguage(channel, cache, detectionOptions)
     const duration = Date.now() - startTime
+    logger.debug(
+      { channelId: channel.id, signals },
+      'Language detection signals',
+    )
 
-    // Add language field to in-memory channel
+    // Add language fields to in-memory channel
     channel.language = language
+    if (languages.length > 1) {
+      channel.languages = languages
+    }
 
     // Also update the individual file in tv/ directory
     const channelFilePath = path.join(tvDir, `${channel.id}.json`)
@@ -125,10 +178,13 @@ async function enrichChannel(channel, tvDir, cache, stats, progressInfo) {
         const fileChannel = JSON.parse(
           fs.readFileSync(channelFilePath, 'utf-8'),
         )
-        fileChannel.language = language
+        const updated = withOverrides(
+          applyLanguages(fileChannel, { language, languages }),
+          detectionOptions.overrides,
+        )
         fs.writeFileSync(
           channelFilePath,
-          JSON.stringify(fileChannel, null, 2) + '\n',
+          JSON.stringify(updated, null, 2) + '\n',
           'utf-8',
         )
       } catch (error) {
@@ -158,7 +214,9 @@ async function enrichChannel(channel, tvDir, cache, stats, progressInfo) {
       {
         channelName: channel.name,
         language: langName,
+        ...(languages.length > 1 ? { languages } : {}),
         source,
+        confidence,
         progress: `${progress}/${progressInfo.total}`,
         percentage: `${percentage}%`,
         avgTime: `${avgTime.toFixed(0)}ms`,
@@ -184,6 +242,7 @@ async function processBatch(
   tvDir,
   cache,
   stats,
+  detectionOptions,
   batchSize = CONFIG.maxConcurrent,
 ) {
   const progressInfo = { total: channels.length }
@@ -194,7 +253,14 @@ async function processBatch(
 
     await Promise.all(
       batch.map((channel) =>
-        enrichChannel(channel, tvDir, cache, stats, progressInfo),
+        enrichChannel(
+          channel,
+          tvDir,
+          cache,
+          stats,
+          progressInfo,
+          detectionOptions,
+        ),
       ),
     )
 
@@ -226,14 +292,203 @@ async function processBatch(
   }
 }
 
+/**
+ * Get the body a fixture route serves
+ * @param {{body: string|string[]}} route - Route (arrays are lines)
+ * @returns {string} - Response body
+ */
+function routeBody(route) {
+  return Array.isArray(route.body) ? route.body.join('\n') : route.body
+}
+
+/**
+ * Serve fixture routes from a local HTTP server
+ * @param {Array<{path: string, status?: number, contentType?: string,
+ *   body: string|string[]}>} routes - Responses by path (404 otherwise)
+ * @returns {Promise<{baseUrl: string, close: function(): Promise<void>}>}
+ */
+async function startFixtureServer(routes) {
+  const byPath = new Map(routes.map((route) => [route.path, route]))
+  const server = createServer((request, response) => {
+    const route = byPath.get(request.url) || { status: 404, body: '' }
+    response.writeHead(route.status || 200, {
+      'content-type': route.contentType || 'text/plain',
+    })
+    response.end(routeBody(route))
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections()
+      return new Promise((resolve) => server.close(resolve))
+    },
+  }
+}
+
+/**
+ * Request a URL and describe the response or failure
+ * @param {Object} client - Client from createHttpClient
+ * @param {string} url - URL
+ * @returns {Promise<Object>} - { status, contentType, data } or
+ *   { error: { message, code, status } }
+ */
+async function requestOutcome(client, url) {
+  try {
+    const response = await client.get(url, {
+      timeout: WEB_CONFIG.timeout,
+      responseType: 'text',
+    })
+    return {
+      status: response.status,
+      contentType: response.headers?.['content-type'] ?? null,
+      data: response.data,
+    }
+  } catch (error) {
+    return {
+      error: {
+        message: error.message,
+        code: error.code ?? null,
+        status: error.response?.status ?? null,
+      },
+    }
+  }
+}
+
+/**
+ * Record the fixture requests from a local server, then replay them
+ * @param {{routes: Object[], requests: Array<{path: string, host?: string,
+ *   replayOnly?: boolean, expect: Object}>}} fixtures - Parsed
+ *   fixtures/http-replay.json; host "closed" sends the request to a port
+ *   nothing listens on, replayOnly requests are never recorded, and expect
+ *   holds status, contentType, errorStatus or errorCode
+ * @returns {Promise<string[]>} - Failure descriptions
+ */
+async function verifyHttpAdapter({ routes, requests }) {
+  const failures = []
+  const bodies = new Map(routes.map((route) => [route.path, routeBody(route)]))
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'))
+  const server = await startFixtureServer(routes)
+  const closed = await startFixtureServer([])
+  await closed.close()
+  const urlOf = (request) =>
+    `${request.host === 'closed' ? closed.baseUrl : server.baseUrl}${request.path}`
+
+  const check = (mode, request, outcome) => {
+    const actual = {
+      status: outcome.status,
+      contentType: outcome.contentType,
+      errorStatus: outcome.error?.status,
+      errorCode: outcome.error?.code,
+    }
+    Object.entries(request.expect).forEach(([field, expected]) => {
+      if (actual[field] !== expected) {
+        failures.push(
+          `${request.path}: ${mode} expected ${field} ${expected}, got ${actual[field] ?? null}`,
+        )
+      }
+    })
+    if (!outcome.error && outcome.data !== bodies.get(request.path)) {
+      failures.push(`${request.path}: ${mode} body differs from the served one`)
+    }
+  }
+
+  const recorded = new Map()
+  try {
+    const recorder = createHttpClient({ mode: 'record', fixtureDir })
+    for (const request of requests.filter((item) => !item.replayOnly)) {
+      const outcome = await requestOutcome(recorder, urlOf(request))
+      check('record', request, outcome)
+      recorded.set(request, outcome)
+    }
+    if (recorder.stats.recorded !== recorded.size) {
+      failures.push(
+        `stats: ${recorder.stats.recorded} responses recorded, expected ${recorded.size}`,
+      )
+    }
+  } finally {
+    await server.close()
+  }
+
+  // The server is gone, so every response now comes from fixtureDir
+  try {
+    const replayer = createHttpClient({ mode: 'replay', fixtureDir })
+    for (const request of requests) {
+      const outcome = await requestOutcome(replayer, urlOf(request))
+      check('replay', request, outcome)
+      if (
+        recorded.has(request) &&
+        JSON.stringify(outcome) !== JSON.stringify(recorded.get(request))
+      ) {
+        failures.push(`${request.path}: replay differs from the recording`)
+      }
+    }
+    const misses = requests.length - recorded.size
+    if (
+      replayer.stats.replayed !== recorded.size ||
+      replayer.stats.misses !== misses
+    ) {
+      failures.push(
+        `stats: ${replayer.stats.replayed} replayed and ${replayer.stats.misses} missed, expected ${recorded.size} and ${misses}`,
+      )
+    }
+  } finally {
+    fs.rmSync(fixtureDir, { recursive: true, force: true })
+  }
+
+  return failures
+}
+
 /**
  * Main execution
  */
 async function main() {
   const overallStartTime = Date.now()
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const failures = await verifyHttpAdapter(fixtures)
+    failures.forEach((failure) => {
+      console.log(`✗ ${failure}`)
+    })
+    // One entry per request, plus the client stats
+    const total = fixtures.requests.length + 1
+    const failed = new Set(failures.map((failure) => failure.split(':')[0]))
+    console.log(`\n📊 ${total - failed.size}/${total} HTTP fixtures passed`)
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+  const http = createHttpClient({
+    mode: options.httpMode,
+    fixtureDir: options.httpFixtureDir,
+  })
+  const detectionOptions = {
+    strategies: options.strategies,
+    disabled:
+      http.mode === 'replay'
+        ? [...options.disabled, 'cache']
+        : options.disabled,
+    http,
+    overrides: loadOverrides(),
+  }
   const tvDir = path.join(__dirname, '..', 'tv')
-  const dataFilePath = path.join(__dirname, '..', 'data', 'in.json')
-  const cache = new LanguageCache(path.join(__dirname, '..', CONFIG.cacheFile))
+  const dataFilePath = CHANNELS_FILE
+  const cache = new LanguageCache(CONFIG.cacheFile, {
+    saveInterval: CONFIG.cacheSaveInterval,
+  })
+  if (cache.loadError) {
+    logger.warn({ error: cache.loadError.message }, 'Failed to load cache')
+  }
+  if (cache.migration) {
+    logger.info(
+      cache.migration,
+      '♻️ Language cache migrated to the current detector version',
+    )
+  }
 
   logger.info('🚀 Starting TV Channel Language Enrichment')
   logger.info(
@@ -245,25 +500,30 @@ async function main() {
         maxConcurrent: CONFIG.maxConcurrent,
         cacheSaveInterval: CONFIG.cacheSaveInterval,
         cacheFile: CONFIG.cacheFile,
+        strategies: detectionOptions.strategies.filter(
+          (name) => !detectionOptions.disabled.includes(name),
+        ),
+        httpMode: http.mode,
+        ...(http.mode === 'live' ? {} : { httpFixtureDir: http.fixtureDir }),
       },
     },
     'Configuration loaded',
   )
 
-  // Read data/in.json
+  // Read data/channels.json
   if (!fs.existsSync(dataFilePath)) {
-    logger.error({ dataFilePath }, 'data/in.json file not found')
+    logger.error({ dataFilePath }, 'data/channels.json file not found')
     process.exit(1)
   }
 
-  logger.info('📋 Loading data/in.json...')
+  logger.info('📋 Loading data/channels.json...')
   const dataContent = fs.readFileSync(dataFilePath, 'utf-8')
   const channels = JSON.parse(dataContent)
 
   logger.info(
     {
       totalChannels: channels.length,
-      cacheSize: Object.keys(cache.cache).length,
+      cacheSize: cache.size,
     },
     'Channels loaded',
   )
@@ -281,14 +541,14 @@ async function main() {
     `⚡ Processing ${channels.length} channels in order with ${CONFIG.maxConcurrent} concurrent workers...`,
   )
 
-  // Process channels in batches (in exact order from data/in.json)
-  await processBatch(channels, tvDir, cache, stats)
+  // Process channels in batches (in exact order from data/channels.json)
+  await processBatch(channels, tvDir, cache, stats, detectionOptions)
 
   // Final cache flush
   cache.flush()
 
-  // Write enriched data back to data/in.json
-  logger.info('💾 Saving enriched data to data/in.json...')
+  // Write enriched data back to data/channels.json
+  logger.info('💾 Saving enriched data to data/channels.json...')
   fs.writeFileSync(
     dataFilePath,
     JSON.stringify(channels, null, 2) + '\n',
@@ -315,14 +575,22 @@ async function main() {
       },
       sources: stats.sources,
       languages: stats.languages,
+      ...(http.mode === 'live' ? {} : { http: http.stats }),
     },
     'Enrichment summary',
   )
 
+  if (http.stats.misses > 0) {
+    logger.warn(
+      { misses: http.stats.misses, httpFixtureDir: http.fixtureDir },
+      '⚠️ Some requests were not in the recorded snapshot (see debug signals)',
+    )
+  }
+
   logger.info(
     {
       cacheFile: CONFIG.cacheFile,
-      cacheEntries: Object.keys(cache.cache).length,
+      cacheEntries: cache.size,
     },
     '💾 Cache saved',
   )
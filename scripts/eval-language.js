@@ -0,0 +1,488 @@
+#!/usr/bin/env node
+
+/**
+ * Language Detection Evaluation Script
+ *
+ * Measures the language detectors against a labelled ground-truth set,
+ * entirely offline:
+ * - fixtures/language/ground-truth.json  Channels with their known language
+ * - fixtures/language/snapshots/*.html   Saved website HTML, served to the
+ *                                        detectors instead of the network
+ *
+ * Detectors:
+ * - html     detectLanguageFromHTML on the snapshot (entries with one only)
+ * - pattern  detectLanguageByPattern on the channel name
+ * - full     detectLanguage (name, snapshot, pattern fallback) with an empty
+ *            cache and no stream manifest
+ *
+ * For each detector it prints accuracy, per-language precision and recall,
+ * and a confusion matrix (rows: expected, columns: detected). Run it before
+ * and after changing LANGUAGE_PATTERNS or analyzeTextLanguage.
+ *
+ * --verify runs detectLanguage on the cases in fixtures/language/cache.json
+ * instead, each starting from a cache that already holds a result for the
+ * domain or the stream, and checks which result wins, what is cached
+ * afterwards and how many websites and manifests were fetched (a fresh
+ * website result must replace a cached pattern guess, a cached website or
+ * manifest result must not be fetched again). It exits non-zero on any
+ * mismatch.
+ *
+ * Usage:
+ *   node scripts/eval-language.js
+ *   node scripts/eval-language.js --detector html,full --misses
+ *   node scripts/eval-language.js --json /tmp/language-eval.json
+ *   node scripts/eval-language.js --verify
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { ROOT_DIR, readJson, writeJson } = require('../helpers/channel-store')
+const {
+  ISO_TO_LANGUAGE,
+  LANGUAGE_CODES,
+  detectLanguage,
+  detectLanguageByPattern,
+  detectLanguageFromHTML,
+  extractDomain,
+  normalizeLanguageCode,
+  streamCacheKey,
+} = require('../helpers/websearch-language-detection')
+
+// Configuration
+const CONFIG = {
+  fixtureDir: path.join(ROOT_DIR, 'fixtures', 'language'),
+  groundTruthFile: 'ground-truth.json',
+  snapshotDir: 'snapshots',
+  cacheFixtureFile: 'cache.json',
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{detectors: string[], misses: boolean, verify: boolean,
+ *   jsonFile: string|null, fixtureDir: string}}
+ */
+function parseArgs(argv) {
+  const options = {
+    detectors: Object.keys(DETECTORS),
+    misses: argv.includes('--misses'),
+    verify: argv.includes('--verify'),
+    jsonFile: null,
+    fixtureDir: CONFIG.fixtureDir,
+  }
+
+  const detectorIndex = argv.indexOf('--detector')
+  if (detectorIndex !== -1 && argv[detectorIndex + 1]) {
+    options.detectors = argv[detectorIndex + 1].split(',').map((d) => d.trim())
+  }
+  const jsonIndex = argv.indexOf('--json')
+  if (jsonIndex !== -1 && argv[jsonIndex + 1]) {
+    options.jsonFile = path.resolve(argv[jsonIndex + 1])
+  }
+  const fixtureIndex = argv.indexOf('--fixtures')
+  if (fixtureIndex !== -1 && argv[fixtureIndex + 1]) {
+    options.fixtureDir = path.resolve(argv[fixtureIndex + 1])
+  }
+
+  return options
+}
+
+/**
+ * Normalize a detector result to a language name
+ * @param {string|null} value - Language name or ISO code
+ * @returns {string} - Key of LANGUAGE_CODES ("unknown" when undetected)
+ */
+function toLanguageName(value) {
+  const lower = String(value || '').toLowerCase()
+  if (LANGUAGE_CODES[lower]) {
+    return lower
+  }
+  return ISO_TO_LANGUAGE[normalizeLanguageCode(lower)] || 'unknown'
+}
+
+/**
+ * In-memory stand-in for the enrichment cache (get/set/has)
+ * @param {Object<string, Object>} seed - Entries by domain to start with
+ *   ({ language, source, confidence })
+ * @returns {Object} - Cache that is never persisted
+ */
+function createMemoryCache(seed = {}) {
+  const entries = new Map(Object.entries(seed))
+  return {
+    get: (domain) => entries.get(domain),
+    set: (domain, language, source, details = {}) => {
+      entries.set(domain, {
+        language,
+        ...(details.languages ? { languages: details.languages } : {}),
+        source,
+        confidence: details.confidence ?? null,
+        timestamp: Date.now(),
+      })
+    },
+    has: (domain) => entries.has(domain),
+  }
+}
+
+/**
+ * Build a fetchWebsite replacement that serves the saved snapshots
+ * @param {Object[]} entries - Ground-truth entries with their loaded html
+ * @returns {function(string): Promise<{html: string, url: string}>}
+ *   Rejects for domains without a snapshot, like an unreachable site
+ */
+function snapshotFetcher(entries) {
+  const byDomain = new Map(
+    entries
+      .filter((entry) => entry.html)
+      .map((entry) => [extractDomain(entry.tvgId), entry.html]),
+  )
+
+  return async (domain) => {
+    if (!byDomain.has(domain)) {
+      throw new Error(`No snapshot for domain: ${domain}`)
+    }
+    return { html: byDomain.get(domain), url: `snapshot://${domain}` }
+  }
+}
+
+// Detectors under evaluation: which entries they apply to and how they run
+const DETECTORS = {
+  html: {
+    label: 'detectLanguageFromHTML',
+    applies: (entry) => Boolean(entry.html),
+    detect: async (entry) => detectLanguageFromHTML(entry.html),
+  },
+  pattern: {
+    label: 'detectLanguageByPattern',
+    applies: () => true,
+    detect: async (entry) => detectLanguageByPattern(entry.name),
+  },
+  full: {
+    label: 'detectLanguage',
+    applies: () => true,
+    detect: async (entry, context) => {
+      const { language } = await detectLanguage(
+        { name: entry.name, tvgId: entry.tvgId },
+        createMemoryCache(),
+        // Overrides would answer from the ground truth itself
+        { fetchWebsite: context.fetchWebsite, overrides: {} },
+      )
+      return language
+    },
+  },
+}
+
+/**
+ * Load the ground truth and its HTML snapshots
+ * @param {string} fixtureDir - Directory with ground-truth.json and snapshots/
+ * @returns {Object[]} - Entries ({ id, name, tvgId, language, snapshot, html })
+ */
+function loadGroundTruth(fixtureDir) {
+  return readJson(path.join(fixtureDir, CONFIG.groundTruthFile)).map(
+    (entry) => {
+      if (!entry.snapshot) {
+        return entry
+      }
+      const snapshotFile = path.join(
+        fixtureDir,
+        CONFIG.snapshotDir,
+        entry.snapshot,
+      )
+      return { ...entry, html: fs.readFileSync(snapshotFile, 'utf-8') }
+    },
+  )
+}
+
+/**
+ * Compute accuracy, per-language precision/recall and the confusion matrix
+ * @param {Array<{expected: string, detected: string}>} results - One per entry
+ * @returns {Object} - { total, correct, accuracy, languages, perLanguage, matrix }
+ */
+function computeMetrics(results) {
+  const languages = [
+    ...new Set(
+      results.flatMap(({ expected, detected }) => [expected, detected]),
+    ),
+  ].sort()
+
+  const matrix = Object.fromEntries(
+    languages.map((expected) => [
+      expected,
+      Object.fromEntries(languages.map((detected) => [detected, 0])),
+    ]),
+  )
+  results.forEach(({ expected, detected }) => {
+    matrix[expected][detected]++
+  })
+
+  const perLanguage = {}
+  languages.forEach((language) => {
+    const truePositives = matrix[language][language]
+    const support = languages.reduce(
+      (sum, detected) => sum + matrix[language][detected],
+      0,
+    )
+    const predicted = languages.reduce(
+      (sum, expected) => sum + matrix[expected][language],
+      0,
+    )
+    const precision = predicted > 0 ? truePositives / predicted : null
+    const recall = support > 0 ? truePositives / support : null
+    perLanguage[language] = {
+      support,
+      predicted,
+      precision,
+      recall,
+      f1:
+        precision && recall
+          ? (2 * precision * recall) / (precision + recall)
+          : null,
+    }
+  })
+
+  const correct = results.filter(
+    ({ expected, detected }) => expected === detected,
+  ).length
+
+  return {
+    total: results.length,
+    correct,
+    accuracy: results.length > 0 ? correct / results.length : null,
+    languages,
+    perLanguage,
+    matrix,
+  }
+}
+
+/**
+ * Run one detector over the ground truth
+ * @param {string} name - Key of DETECTORS
+ * @param {Object[]} entries - Ground-truth entries
+ * @param {Object} context - Shared state ({ fetchWebsite })
+ * @returns {Promise<{results: Object[], metrics: Object}>}
+ */
+async function evaluateDetector(name, entries, context) {
+  const detector = DETECTORS[name]
+  const results = []
+
+  for (const entry of entries.filter(detector.applies)) {
+    const result = { id: entry.id, name: entry.name, expected: entry.language }
+    try {
+      result.detected = toLanguageName(await detector.detect(entry, context))
+    } catch (error) {
+      // A detector that throws counts as undetected
+      result.detected = 'unknown'
+      result.error = error.message
+    }
+    results.push(result)
+  }
+
+  return { results, metrics: computeMetrics(results) }
+}
+
+/**
+ * Run the cached-result cases and compare with the expected outcome
+ *
+ * Each case starts from a cache holding `cached` under the channel's domain,
+ * or under its stream when `cachedUnder` is "stream", and detects the
+ * channel `runs` times (default 1) with that cache, like repeated enrichment
+ * runs. The stream manifest is served from the case's `manifest` text;
+ * without one, requesting it fails like an unreachable stream.
+ *
+ * @param {Array<{channel: Object, cached?: Object, cachedUnder?: string,
+ *   manifest?: string, runs?: number, expect: Object}>} cases - expect holds
+ *   the winning language and source of the last run, the language and source
+ *   cached under the seeded key afterwards, the source cached for the stream
+ *   (streamSource) and the number of website and manifest requests made over
+ *   all runs (fetches)
+ * @param {Object} context - Shared state ({ fetchWebsite })
+ * @returns {Promise<Array<{name: string, field: string, expected: string,
+ *   actual: string}>>} - One failure per mismatching field
+ */
+async function verifyCacheFixtures(cases, context) {
+  const failures = []
+
+  for (const testCase of cases) {
+    const { channel, cached, cachedUnder, manifest, expect } = testCase
+    const streamKey = streamCacheKey(channel.streamUrl)
+    const key =
+      cachedUnder === 'stream' ? streamKey : extractDomain(channel.tvgId)
+    const cache = createMemoryCache(cached ? { [key]: cached } : {})
+    let fetches = 0
+    const options = {
+      fetchWebsite: (domain) => {
+        fetches++
+        return context.fetchWebsite(domain)
+      },
+      http: {
+        get: async (url) => {
+          fetches++
+          if (!manifest || url !== channel.streamUrl) {
+            throw new Error(`No manifest for ${url}`)
+          }
+          return { status: 200, headers: {}, data: manifest }
+        },
+      },
+      overrides: {},
+    }
+    let result = null
+    for (let run = 0; run < (testCase.runs || 1); run++) {
+      result = await detectLanguage(channel, cache, options)
+    }
+    const after = cache.get(key)
+    const actual = {
+      language: result.language,
+      source: result.source,
+      cachedLanguage: after?.language ?? null,
+      cachedSource: after?.source ?? null,
+      streamSource: (streamKey && cache.get(streamKey)?.source) || null,
+      fetches,
+    }
+
+    Object.entries(expect).forEach(([field, expected]) => {
+      if (actual[field] !== expected) {
+        failures.push({
+          name: channel.name,
+          field,
+          expected,
+          actual: actual[field],
+        })
+      }
+    })
+  }
+
+  return failures
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} - e.g. " 87.5%" or "    -" when undefined
+ */
+function percent(value) {
+  return value === null ? '    -' : `${(value * 100).toFixed(1)}%`.padStart(6)
+}
+
+/**
+ * Print the report of one detector
+ * @param {string} name - Detector key
+ * @param {{results: Object[], metrics: Object}} evaluation - Detector results
+ * @param {boolean} showMisses - List every misdetected channel
+ */
+function printReport(name, { results, metrics }, showMisses) {
+  const { languages, perLanguage, matrix } = metrics
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  console.log(`🔬 ${name} (${DETECTORS[name].label})`)
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  console.log(
+    `   Accuracy: ${percent(metrics.accuracy).trim()} (${metrics.correct}/${metrics.total})`,
+  )
+
+  console.log('\n   Language     Precision  Recall     F1  Support')
+  languages.forEach((language) => {
+    const { precision, recall, f1, support } = perLanguage[language]
+    console.log(
+      `   ${language.padEnd(12)} ${percent(precision).padStart(9)} ${percent(recall).padStart(7)} ${percent(f1)} ${String(support).padStart(8)}`,
+    )
+  })
+
+  // Columns are labelled with ISO codes to keep the matrix narrow
+  const code = (language) =>
+    language === 'unknown' ? '?' : LANGUAGE_CODES[language] || language
+  console.log('\n   Confusion matrix (rows: expected, columns: detected)')
+  console.log(
+    `   ${''.padEnd(12)}${languages.map((l) => code(l).padStart(4)).join('')}`,
+  )
+  languages.forEach((expected) => {
+    const cells = languages.map((detected) => {
+      const count = matrix[expected][detected]
+      return (count === 0 ? '.' : String(count)).padStart(4)
+    })
+    console.log(`   ${expected.padEnd(12)}${cells.join('')}`)
+  })
+
+  if (showMisses) {
+    const misses = results.filter((r) => r.expected !== r.detected)
+    console.log(`\n   Misses (${misses.length}):`)
+    misses.forEach((r) => {
+      const reason = r.error ? ` (${r.error})` : ''
+      console.log(
+        `   ✗ ${r.name}: expected ${r.expected}, got ${r.detected}${reason}`,
+      )
+    })
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const unknownDetectors = options.detectors.filter((d) => !DETECTORS[d])
+  if (unknownDetectors.length > 0) {
+    console.error(
+      `❌ Unknown detector(s): ${unknownDetectors.join(', ')} (available: ${Object.keys(DETECTORS).join(', ')})`,
+    )
+    process.exit(1)
+  }
+
+  const entries = loadGroundTruth(options.fixtureDir)
+  const context = { fetchWebsite: snapshotFetcher(entries) }
+
+  if (options.verify) {
+    const cases = readJson(
+      path.join(options.fixtureDir, CONFIG.cacheFixtureFile),
+    )
+    const failures = await verifyCacheFixtures(cases, context)
+    failures.forEach(({ name, field, expected, actual }) => {
+      console.log(`✗ ${name}: expected ${field} ${expected}, got ${actual}`)
+    })
+    const failed = new Set(failures.map(({ name }) => name)).size
+    console.log(
+      `\n📊 ${cases.length - failed}/${cases.length} cached-result fixtures passed`,
+    )
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  console.log('📏 LANGUAGE DETECTION EVALUATION')
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  console.log(`   Ground truth: ${entries.length} channels`)
+  console.log(
+    `   Snapshots:    ${entries.filter((entry) => entry.html).length} HTML pages`,
+  )
+
+  const report = { generatedAt: new Date().toISOString(), detectors: {} }
+  for (const name of options.detectors) {
+    const evaluation = await evaluateDetector(name, entries, context)
+    printReport(name, evaluation, options.misses)
+    report.detectors[name] = evaluation
+  }
+
+  if (options.jsonFile) {
+    writeJson(options.jsonFile, report)
+    console.log(`\n💾 Report written to ${options.jsonFile}`)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  DETECTORS,
+  toLanguageName,
+  computeMetrics,
+  loadGroundTruth,
+  snapshotFetcher,
+  evaluateDetector,
+  verifyCacheFixtures,
+}
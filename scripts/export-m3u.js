@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+
+/**
+ * M3U Export Script
+ *
+ * Generates #EXTM3U playlists from the channel files in tv/ (the reverse of
+ * m3u-to-json.js):
+ * - playlists/all.m3u                  Every exported channel
+ * - playlists/language/<language>.m3u  One playlist per language (a channel
+ *                                      is listed under each of its languages)
+ * - playlists/category/<category>.m3u  One playlist per category (a channel
+ *                                      is listed under each of its categories)
+ *
+ * Each channel is written as one entry per source (see helpers/sources.js),
+ * all with the same tvg-id so m3u-to-json.js merges them back into one
+ * channel; a channel without a tvgId only gets its primary source. Entries
+ * carry tvg-id, tvg-logo, tvg-country, tvg-language (every language,
+ * ";"-separated), group-title and categories (both from categoryId and the
+ * secondary categories, ";"-separated), plus the playback settings kept from
+ * the source playlist: tvg-shift, catchup* attributes, #EXTGRP, and stream
+ * headers as #EXTVLCOPT and #KODIPROP lines. Only active channels are
+ * exported unless --include-inactive is passed. After writing, all.m3u is
+ * parsed back with parseM3U and compared with the source channels (including
+ * quality, country and sources); any difference fails the export.
+ *
+ * Usage:
+ *   node scripts/export-m3u.js
+ *   node scripts/export-m3u.js --include-inactive
+ *   node scripts/export-m3u.js --ids aaj-tak,zee-news --out /tmp/custom
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { channelCategories } = require('../helpers/categories')
+const { ROOT_DIR, readAllChannels } = require('../helpers/channel-store')
+const { normalizeQuality } = require('../helpers/hls')
+const { channelLanguages } = require('../helpers/languages')
+const {
+  formatOptionLines,
+  formatPlaybackAttributes,
+} = require('../helpers/m3u')
+const { channelSources, mergeByTvgId } = require('../helpers/sources')
+const { parseM3U } = require('./m3u-to-json')
+
+// Height written as "(720p)" in titles so parseM3U picks the quality back up
+const QUALITY_HEIGHTS = { SD: 576, HD: 720, FHD: 1080, UHD: 2160 }
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{outDir: string, includeInactive: boolean, ids: string[]|null}}
+ */
+function parseArgs(argv) {
+  const options = {
+    outDir: path.join(ROOT_DIR, 'playlists'),
+    includeInactive: false,
+    ids: null,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--out') {
+      options.outDir = path.resolve(argv[++i])
+    } else if (arg === '--include-inactive') {
+      options.includeInactive = true
+    } else if (arg === '--ids') {
+      options.ids = argv[++i].split(',').map((id) => id.trim())
+    }
+  }
+
+  return options
+}
+
+/**
+ * Capitalize a slug for display (e.g., "tamil" → "Tamil")
+ * @param {string} value - Lowercase slug
+ * @returns {string} - Capitalized value
+ */
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1)
+}
+
+/**
+ * Make a value safe inside a quoted EXTINF attribute
+ *
+ * parseM3U only ends a quoted value at the next double quote (commas inside
+ * quotes are fine), so double quotes are percent-encoded.
+ *
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/"/g, '%22')
+}
+
+/**
+ * Reverse escapeAttribute() for a value read back by parseM3U
+ * @param {string} value - Escaped attribute value
+ * @returns {string} - Original value
+ */
+function unescapeAttribute(value) {
+  return String(value).replace(/%22/g, '"')
+}
+
+/**
+ * Get the sources written for a channel
+ * @param {Object} channel - Channel record
+ * @returns {Object[]} - Sources by priority (only the primary one without a
+ *   tvgId, since such entries are never merged back)
+ */
+function exportedSources(channel) {
+  const sources = channelSources(channel)
+  return channel.tvgId ? sources : sources.slice(0, 1)
+}
+
+/**
+ * Get the quality of one exported source
+ * @param {Object} channel - Channel record
+ * @param {number} index - Position in exportedSources()
+ * @returns {string|undefined} - SD/HD/FHD/UHD; the primary source follows
+ *   the channel (quality from the last probe)
+ */
+function sourceQuality(channel, index) {
+  return index === 0 ? channel.quality : exportedSources(channel)[index].quality
+}
+
+/**
+ * Get the title suffix for the quality of one exported source
+ * @param {Object} channel - Channel record
+ * @param {number} index - Position in exportedSources()
+ * @returns {string} - e.g. " (1080p)" or an empty string
+ */
+function qualitySuffix(channel, index) {
+  const best = index === 0 ? channel.variants?.[0] : null
+  const height = best?.resolution
+    ? Number(best.resolution.split('x')[1])
+    : QUALITY_HEIGHTS[sourceQuality(channel, index)]
+  return height ? ` (${height}p)` : ''
+}
+
+/**
+ * Get the headers of one exported source
+ * @param {Object} channel - Channel record
+ * @param {number} index - Position in exportedSources()
+ * @returns {Object<string, string>|undefined} - The primary source follows
+ *   channel.headers
+ */
+function sourceHeaders(channel, index) {
+  return index === 0 ? channel.headers : exportedSources(channel)[index].headers
+}
+
+/**
+ * Build the group-title of a channel
+ * @param {Object} channel - Channel record
+ * @returns {string|undefined} - e.g. "Entertainment;Movies"
+ */
+function groupTitle(channel) {
+  const categories = channelCategories(channel)
+  return categories.length > 0
+    ? categories.map(capitalize).join(';')
+    : undefined
+}
+
+/**
+ * Build the tvg-language of a channel
+ * @param {Object} channel - Channel record
+ * @returns {string|undefined} - e.g. "Hindi;English" (undefined when unknown)
+ */
+function tvgLanguage(channel) {
+  const languages = channelLanguages(channel).filter(
+    (language) => language !== 'unknown',
+  )
+  return languages.length > 0 ? languages.map(capitalize).join(';') : undefined
+}
+
+/**
+ * Build the EXTINF entries of a channel, one per exported source
+ * @param {Object} channel - Channel record
+ * @returns {string} - "#EXTINF..." lines, each followed by its stream URL
+ */
+function toM3UEntry(channel) {
+  const categories = groupTitle(channel)
+  const attributes = {
+    'tvg-id': channel.tvgId,
+    'tvg-logo': channel.logo,
+    'tvg-country': channel.country?.toUpperCase(),
+    'tvg-language': tvgLanguage(channel),
+    'group-title': categories,
+    // Tells m3u-to-json.js that group-title only repeats the categories
+    categories,
+    ...formatPlaybackAttributes(channel),
+  }
+
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('')
+
+  return exportedSources(channel)
+    .flatMap((source, index) => [
+      `#EXTINF:-1${attributeText},${channel.name}${qualitySuffix(channel, index)}`,
+      ...(channel.group ? [`#EXTGRP:${channel.group}`] : []),
+      ...formatOptionLines({
+        ...channel,
+        headers: sourceHeaders(channel, index),
+      }),
+      source.url,
+    ])
+    .join('\n')
+}
+
+/**
+ * Build a complete playlist
+ * @param {Object[]} channels - Channel records
+ * @returns {string} - M3U content
+ */
+function buildPlaylist(channels) {
+  return ['#EXTM3U', ...channels.map(toM3UEntry)].join('\n') + '\n'
+}
+
+/**
+ * Group channels by a field
+ * @param {Object[]} channels - Channel records
+ * @param {function(Object): (string|string[])} keyOf - Group key getter; a
+ *   channel is added to every group when it returns several keys
+ * @returns {Object<string, Object[]>} - Channels per group
+ */
+function groupBy(channels, keyOf) {
+  return channels.reduce((acc, channel) => {
+    const keys = [].concat(keyOf(channel))
+    keys.forEach((key) => {
+      if (!acc[key]) {
+        acc[key] = []
+      }
+      acc[key].push(channel)
+    })
+    return acc
+  }, {})
+}
+
+/**
+ * Parse an exported playlist back and compare it with the source channels
+ *
+ * Every entry is compared with the source it was written for, then the
+ * entries are merged by tvgId as m3u-to-json.js does and each channel must
+ * get its sources back in the same order.
+ *
+ * @param {string} filePath - Exported playlist
+ * @param {Object[]} channels - Channels written to it
+ * @returns {string[]} - Human-readable differences (empty when lossless)
+ */
+function verifyRoundTrip(filePath, channels) {
+  const parsed = parseM3U(filePath)
+  const expected = channels.flatMap((channel) =>
+    exportedSources(channel).map((source, index) => ({
+      channel,
+      source,
+      index,
+    })),
+  )
+  const problems = []
+
+  if (parsed.length !== expected.length) {
+    problems.push(
+      `expected ${expected.length} entries, parsed ${parsed.length}`,
+    )
+  }
+
+  expected.forEach(({ channel, source, index }, position) => {
+    const entry = parsed[position]
+    if (!entry) {
+      return
+    }
+
+    const attrs = entry.attributes
+    const checks = {
+      name: [entry.name, channel.name],
+      tvgId: [entry.tvgId, channel.tvgId],
+      streamUrl: [entry.streamUrl, source.url],
+      logo: [unescapeAttribute(attrs['tvg-logo'] || ''), channel.logo || ''],
+      languages: [
+        (attrs['tvg-language'] || 'unknown').toLowerCase(),
+        channelLanguages(channel).join(';') || 'unknown',
+      ],
+      categories: [
+        (attrs.categories || '').toLowerCase(),
+        channelCategories(channel).join(';'),
+      ],
+      quality: [
+        normalizeQuality(entry.quality) || '',
+        normalizeQuality(sourceQuality(channel, index)) || '',
+      ],
+      country: [entry.country || '', channel.country || ''],
+    }
+
+    // Playback settings; objects are compared with sorted keys
+    const serialize = (value) =>
+      JSON.stringify(
+        value && typeof value === 'object'
+          ? Object.fromEntries(Object.entries(value).sort())
+          : (value ?? null),
+      )
+    const catchup = entry.catchup?.source
+      ? { ...entry.catchup, source: unescapeAttribute(entry.catchup.source) }
+      : entry.catchup
+    Object.assign(checks, {
+      group: [serialize(entry.group), serialize(channel.group)],
+      headers: [
+        serialize(entry.headers),
+        serialize(sourceHeaders(channel, index)),
+      ],
+      tvgShift: [serialize(entry.tvgShift), serialize(channel.tvgShift)],
+      catchup: [serialize(catchup), serialize(channel.catchup)],
+      kodiProps: [serialize(entry.kodiProps), serialize(channel.kodiProps)],
+    })
+
+    Object.entries(checks).forEach(([field, [actual, expectedValue]]) => {
+      if (actual !== expectedValue) {
+        problems.push(
+          `${channel.id}: ${field} "${actual}" !== "${expectedValue}"`,
+        )
+      }
+    })
+  })
+
+  // Channel ids stand in for the tv/ files that keep equal tvgIds apart
+  const owners = new Map(
+    parsed.map((entry, position) => [entry, expected[position]?.channel.id]),
+  )
+  const merged = mergeByTvgId(parsed, { fileOf: (entry) => owners.get(entry) })
+  if (merged.length !== channels.length) {
+    problems.push(
+      `expected ${channels.length} channels after merging, got ${merged.length}`,
+    )
+  } else {
+    merged.forEach((channel, position) => {
+      const urls = (list) => list.map((source) => source.url).join(' ')
+      const actual = urls(channelSources(channel))
+      const expectedUrls = urls(exportedSources(channels[position]))
+      if (actual !== expectedUrls) {
+        problems.push(
+          `${channels[position].id}: sources "${actual}" !== "${expectedUrls}"`,
+        )
+      }
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Write a playlist file, creating its directory
+ * @param {string} filePath - Output path
+ * @param {Object[]} channels - Channel records
+ */
+function writePlaylist(filePath, channels) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, buildPlaylist(channels), 'utf-8')
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  let channels = readAllChannels()
+  if (options.ids) {
+    const wanted = new Set(options.ids)
+    channels = channels.filter((channel) => wanted.has(channel.id))
+  }
+  if (!options.includeInactive) {
+    channels = channels.filter((channel) => channel.isActive === true)
+  }
+
+  console.log(`📺 Exporting ${channels.length} channels to ${options.outDir}`)
+
+  // Combined playlist
+  const allFile = path.join(options.outDir, 'all.m3u')
+  writePlaylist(allFile, channels)
+  console.log(`✓ all.m3u: ${channels.length} channels`)
+
+  // Per-language playlists
+  const byLanguage = groupBy(channels, (channel) => {
+    const languages = channelLanguages(channel)
+    return languages.length > 0 ? languages : 'unknown'
+  })
+  Object.keys(byLanguage)
+    .sort()
+    .forEach((language) => {
+      writePlaylist(
+        path.join(options.outDir, 'language', `${language}.m3u`),
+        byLanguage[language],
+      )
+      console.log(
+        `✓ language/${language}.m3u: ${byLanguage[language].length} channels`,
+      )
+    })
+
+  // Per-category playlists
+  const byCategory = groupBy(channels, (channel) => {
+    const categories = channelCategories(channel)
+    return categories.length > 0 ? categories : 'general'
+  })
+  Object.keys(byCategory)
+    .sort()
+    .forEach((category) => {
+      writePlaylist(
+        path.join(options.outDir, 'category', `${category}.m3u`),
+        byCategory[category],
+      )
+      console.log(
+        `✓ category/${category}.m3u: ${byCategory[category].length} channels`,
+      )
+    })
+
+  // Round-trip check through parseM3U
+  const problems = verifyRoundTrip(allFile, channels)
+  if (problems.length > 0) {
+    console.error(`\n✗ Round-trip through parseM3U lost data:`)
+    problems.forEach((problem) => {
+      console.error(`   ${problem}`)
+    })
+    process.exit(1)
+  }
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Channels: ${channels.length}`)
+  console.log(`   Languages: ${Object.keys(byLanguage).length}`)
+  console.log(`   Categories: ${Object.keys(byCategory).length}`)
+  console.log(`   Round-trip: ✓ lossless`)
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  toM3UEntry,
+  buildPlaylist,
+  verifyRoundTrip,
+}
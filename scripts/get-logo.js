@@ -1,79 +1,480 @@
+#!/usr/bin/env node
+
+/**
+ * Channel Logo Script
+ *
+ * Assigns logos from the playlist (data/full.txt) and mirrors them into the
+ * local logo store (logos/, see helpers/logos.js):
+ * 1. Matches every channel to a playlist entry by tvgId, then tvgId without
+ *    its feed, then fuzzy name. An exact tvgId match always updates `logo`;
+ *    the fallbacks only fill channels that have none.
+ * 2. Downloads each logo, checks that it is a real image and stores the
+ *    original with PNG/WebP renditions under logos/<hash>/. Width, height and
+ *    format are recorded in logos/_manifest.json.
+ * 3. Reports the channels still missing a logo: no match in the playlist, or
+ *    a logo that failed to download or validate.
+ *
+ * Logos set in overrides.json are never replaced.
+ *
+ * --verify runs the matcher and the store against fixtures/logos.json, with
+ * a local HTTP server standing in for the image hosts, and exits non-zero on
+ * any mismatch.
+ *
+ * Usage:
+ *   node scripts/get-logo.js
+ *   node scripts/get-logo.js --no-mirror
+ *   node scripts/get-logo.js --only sun-tv,aaj-tak --refresh
+ *   node scripts/get-logo.js --threshold 0.9 --report /tmp/missing-logos.json
+ *   node scripts/get-logo.js --verify
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires ../helpers/logos - Logo matching and store
+ * @requires ../logger - Pino logger for structured logging
+ */
+
 const fs = require('fs')
+const http = require('http')
+const os = require('os')
 const path = require('path')
+const sharp = require('sharp')
+const logger = require('../logger')
+const {
+  ROOT_DIR,
+  TV_DIR,
+  readAllChannels,
+  readJson,
+  writeChannel,
+  writeJson,
+} = require('../helpers/channel-store')
+const {
+  CONFIG: LOGO_CONFIG,
+  createLogoMatcher,
+  hasFiles,
+  mirrorLogo,
+  readManifest,
+  writeManifest,
+} = require('../helpers/logos')
+const { parseExtinf } = require('../helpers/m3u')
+const {
+  findOverride,
+  loadOverrides,
+  withOverrides,
+} = require('../helpers/overrides')
 
-// Function to parse full.txt and extract tvg-id to tvg-logo mappings
-function parseLogoMappings(fullTxtPath) {
-  const logoMap = new Map()
-  try {
-    const content = fs.readFileSync(fullTxtPath, 'utf-8')
-    const lines = content.split('\n')
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (line.startsWith('#EXTINF:-1')) {
-        // Extract tvg-id and tvg-logo
-        const tvgIdMatch = line.match(/tvg-id="([^"]*)"/)
-        const tvgLogoMatch = line.match(/tvg-logo="([^"]*)"/)
-        if (tvgIdMatch && tvgLogoMatch) {
-          const tvgId = tvgIdMatch[1]
-          const tvgLogo = tvgLogoMatch[1]
-          if (tvgLogo && tvgLogo.trim() !== '') {
-            logoMap.set(tvgId, tvgLogo)
-          }
+// Configuration
+const CONFIG = {
+  playlistFile: path.join(ROOT_DIR, 'data', 'full.txt'),
+  tvDir: TV_DIR,
+  logoDir: LOGO_CONFIG.logoDir,
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'logos.json'),
+  batchSize: 10, // Downloads in flight
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Options
+ */
+function parseArgs(argv) {
+  const options = {
+    playlistFile: CONFIG.playlistFile,
+    tvDir: CONFIG.tvDir,
+    logoDir: CONFIG.logoDir,
+    fixtureFile: CONFIG.fixtureFile,
+    mirror: !argv.includes('--no-mirror'),
+    refresh: argv.includes('--refresh'),
+    verify: argv.includes('--verify'),
+    only: null,
+    threshold: LOGO_CONFIG.nameThreshold,
+    reportFile: null,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--input') {
+      options.playlistFile = path.resolve(argv[++i])
+    } else if (arg === '--tv-dir') {
+      options.tvDir = path.resolve(argv[++i])
+    } else if (arg === '--logo-dir') {
+      options.logoDir = path.resolve(argv[++i])
+    } else if (arg === '--fixture') {
+      options.fixtureFile = path.resolve(argv[++i])
+    } else if (arg === '--only') {
+      options.only = argv[++i].split(',').map((id) => id.trim())
+    } else if (arg === '--threshold') {
+      options.threshold = Number(argv[++i])
+    } else if (arg === '--report') {
+      options.reportFile = path.resolve(argv[++i])
+    }
+  }
+
+  return options
+}
+
+/**
+ * Read the logo of every playlist entry
+ * @param {string} content - M3U playlist
+ * @returns {Array<{tvgId: string, name: string, logo: string}>} - Entries
+ *   with a non-empty tvg-logo
+ */
+function parsePlaylistLogos(content) {
+  const candidates = []
+  content.split('\n').forEach((line) => {
+    const trimmed = line.trim()
+    if (!trimmed.startsWith('#EXTINF:')) {
+      return
+    }
+    const { attributes, title } = parseExtinf(trimmed)
+    const logo = (attributes['tvg-logo'] || '').trim()
+    if (logo) {
+      candidates.push({ tvgId: attributes['tvg-id'] || '', name: title, logo })
+    }
+  })
+  return candidates
+}
+
+/**
+ * Match logos to channels
+ * @param {Object[]} channels - Channel records
+ * @param {Function} match - Matcher from createLogoMatcher()
+ * @param {Object} overrides - Manual overrides (logos there are kept)
+ * @returns {{updated: Array<{channel: Object, method: string}>,
+ *   unmatched: Object[]}} - Records whose logo changed, and channels left
+ *   without a logo
+ */
+function assignLogos(channels, match, overrides) {
+  const updated = []
+  const unmatched = []
+
+  channels.forEach((channel) => {
+    if (findOverride(channel, overrides)?.logo) {
+      return
+    }
+    const result = match(channel)
+    const applies = result && (result.method === 'tvgId' || !channel.logo)
+    if (applies && result.logo !== channel.logo) {
+      updated.push({
+        channel: { ...channel, logo: result.logo },
+        method: result.method,
+      })
+    } else if (!result && !channel.logo) {
+      unmatched.push(channel)
+    }
+  })
+
+  return { updated, unmatched }
+}
+
+/**
+ * Mirror the logos of channels into the store
+ * @param {Object[]} channels - Channel records with a logo
+ * @param {Object} manifest - Manifest entries by channel id (updated in place)
+ * @param {{logoDir: string, refresh: boolean}} options - Mirror options
+ * @returns {Promise<{mirrored: number, unchanged: number,
+ *   failed: Array<{id: string, logo: string, reason: string}>}>}
+ */
+async function mirrorLogos(channels, manifest, options) {
+  const stats = { mirrored: 0, unchanged: 0, failed: [] }
+
+  const pending = channels.filter((channel) => {
+    const entry = manifest[channel.id]
+    const current =
+      entry && entry.source === channel.logo && hasFiles(entry, options.logoDir)
+    if (current && !options.refresh) {
+      stats.unchanged++
+      return false
+    }
+    return true
+  })
+
+  for (let i = 0; i < pending.length; i += CONFIG.batchSize) {
+    const batch = pending.slice(i, i + CONFIG.batchSize)
+    await Promise.all(
+      batch.map(async (channel) => {
+        const result = await mirrorLogo(channel.logo, {
+          logoDir: options.logoDir,
+        })
+        if (result.ok) {
+          manifest[channel.id] = result.entry
+          stats.mirrored++
+          logger.debug(
+            { channelId: channel.id, hash: result.entry.hash },
+            '✓ Logo mirrored',
+          )
+        } else {
+          stats.failed.push({
+            id: channel.id,
+            logo: channel.logo,
+            reason: result.reason,
+          })
+          logger.warn(
+            {
+              channelId: channel.id,
+              logo: channel.logo,
+              reason: result.reason,
+            },
+            '✗ Logo rejected',
+          )
         }
-      }
+      }),
+    )
+    logger.info(
+      {
+        done: Math.min(i + CONFIG.batchSize, pending.length),
+        total: pending.length,
+      },
+      '📊 Mirroring progress',
+    )
+  }
+
+  return stats
+}
+
+/**
+ * Serve fixture images from a local HTTP server
+ * @param {Object[]} images - Image fixtures ({ path, image | body, status })
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+async function startImageServer(images) {
+  const routes = new Map()
+  for (const fixture of images) {
+    let body = fixture.body ? Buffer.from(fixture.body) : Buffer.alloc(0)
+    let contentType = fixture.contentType || 'application/octet-stream'
+    if (fixture.image) {
+      const { format, width, height } = fixture.image
+      body = await sharp({
+        create: {
+          width,
+          height,
+          channels: 4,
+          background: { r: 200, g: 30, b: 30, alpha: 1 },
+        },
+      })
+        .toFormat(format)
+        .toBuffer()
+      contentType = `image/${format}`
     }
-    console.log(`Parsed ${logoMap.size} logo mappings from ${fullTxtPath}`)
-  } catch (error) {
-    console.error(`Error parsing ${fullTxtPath}:`, error.message)
+    routes.set(fixture.path, {
+      status: fixture.status || 200,
+      body,
+      contentType,
+    })
+  }
+
+  const server = http.createServer((request, response) => {
+    const route = routes.get(request.url) || { status: 404, body: '' }
+    response.writeHead(route.status, { 'content-type': route.contentType })
+    response.end(route.body)
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
   }
-  return logoMap
 }
 
-// Function to process JSON files in tv/ directory
-function processJsonFiles(tvDir, logoMap) {
+/**
+ * Check the matcher and the store against the fixtures
+ * @param {{playlist: string[], matches: Object[], images: Object[]}} fixtures
+ * @returns {Promise<string[]>} - Failure descriptions (empty when every
+ *   fixture passes)
+ */
+async function verifyFixtures(fixtures) {
+  const failures = []
+
+  const match = createLogoMatcher(
+    parsePlaylistLogos(fixtures.playlist.join('\n')),
+  )
+  fixtures.matches.forEach((fixture) => {
+    const result = match(fixture.channel)
+    const method = result ? result.method : null
+    if (method !== fixture.method || (result && result.logo !== fixture.logo)) {
+      failures.push(
+        `${fixture.channel.name}: expected ${fixture.method} ${fixture.logo || ''}, got ${method} ${result?.logo || ''}`,
+      )
+    }
+  })
+
+  const server = await startImageServer(fixtures.images)
+  const logoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-verify-'))
+  const hashes = {}
   try {
-    const files = fs.readdirSync(tvDir)
-    const jsonFiles = files.filter(
-      (file) => file.endsWith('.json') && file !== '_meta.json',
-    )
-    console.log(`Found ${jsonFiles.length} JSON files to process`)
-
-    jsonFiles.forEach((file) => {
-      const filePath = path.join(tvDir, file)
-      try {
-        const content = fs.readFileSync(filePath, 'utf-8')
-        let data = JSON.parse(content)
-
-        // Assuming data is an object with tvgId
-        if (data.tvgId && logoMap.has(data.tvgId)) {
-          data.logo = logoMap.get(data.tvgId)
-          console.log(`Added logo to ${file} for tvgId: ${data.tvgId}`)
+    for (const fixture of fixtures.images) {
+      const result = await mirrorLogo(`${server.baseUrl}${fixture.path}`, {
+        logoDir,
+      })
+      const { expect } = fixture
+      if (result.ok !== expect.ok) {
+        failures.push(
+          `${fixture.path}: expected ${expect.ok ? 'ok' : expect.reason}, got ${result.ok ? 'ok' : result.reason}`,
+        )
+        continue
+      }
+      if (!result.ok) {
+        if (result.reason !== expect.reason) {
+          failures.push(
+            `${fixture.path}: expected ${expect.reason}, got ${result.reason}`,
+          )
         }
+        continue
+      }
 
-        // Write back with 2-space indentation
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
-      } catch (error) {
-        console.error(`Error processing ${file}:`, error.message)
+      const { entry } = result
+      hashes[fixture.path] = entry.hash
+      ;['format', 'width', 'height'].forEach((field) => {
+        if (expect[field] !== undefined && entry[field] !== expect[field]) {
+          failures.push(
+            `${fixture.path}: expected ${field} ${expect[field]}, got ${entry[field]}`,
+          )
+        }
+      })
+      if (expect.sameHashAs && hashes[expect.sameHashAs] !== entry.hash) {
+        failures.push(
+          `${fixture.path}: expected the hash of ${expect.sameHashAs}`,
+        )
       }
-    })
-  } catch (error) {
-    console.error(`Error reading tv directory:`, error.message)
+      for (const size of LOGO_CONFIG.sizes) {
+        for (const format of LOGO_CONFIG.outputFormats) {
+          const file = path.join(logoDir, entry.hash, `${size}.${format}`)
+          const metadata = fs.existsSync(file)
+            ? await sharp(file).metadata()
+            : null
+          if (
+            !metadata ||
+            metadata.width !== size ||
+            metadata.height !== size
+          ) {
+            failures.push(`${fixture.path}: bad rendition ${size}.${format}`)
+          }
+        }
+      }
+    }
+  } finally {
+    await server.close()
+    fs.rmSync(logoDir, { recursive: true, force: true })
   }
+
+  return failures
 }
 
-// Main function
-function main() {
-  const fullTxtPath = path.join(__dirname, '..', 'data', 'full.txt')
-  const tvDir = path.join(__dirname, '..', 'tv')
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const failures = await verifyFixtures(fixtures)
+    failures.forEach((failure) => {
+      console.log(`✗ ${failure}`)
+    })
+    const total = fixtures.matches.length + fixtures.images.length
+    console.log(`\n📊 ${total - failures.length}/${total} logo fixtures passed`)
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
+
+  const overrides = loadOverrides()
+  let channels = readAllChannels(options.tvDir)
+  if (options.only) {
+    channels = channels.filter((channel) => options.only.includes(channel.id))
+  }
+
+  // 1. Assign logos from the playlist
+  let unmatched = channels.filter((channel) => !channel.logo)
+  if (fs.existsSync(options.playlistFile)) {
+    const candidates = parsePlaylistLogos(
+      fs.readFileSync(options.playlistFile, 'utf-8'),
+    )
+    logger.info(
+      { playlist: options.playlistFile, logos: candidates.length },
+      '📄 Parsed playlist logos',
+    )
+    const match = createLogoMatcher(candidates, {
+      threshold: options.threshold,
+    })
+    const assigned = assignLogos(channels, match, overrides)
+    unmatched = assigned.unmatched
 
-  console.log('Starting logo extraction and assignment...')
+    const byMethod = {}
+    assigned.updated.forEach(({ channel, method }) => {
+      writeChannel(withOverrides(channel, overrides), options.tvDir)
+      byMethod[method] = (byMethod[method] || 0) + 1
+      logger.debug({ channelId: channel.id, method }, '✓ Logo assigned')
+    })
+    logger.info(
+      { updated: assigned.updated.length, byMethod },
+      '🖼️  Logos assigned',
+    )
+
+    const updatedById = new Map(
+      assigned.updated.map(({ channel }) => [channel.id, channel]),
+    )
+    channels = channels.map((channel) => updatedById.get(channel.id) || channel)
+  } else {
+    logger.warn(
+      { playlist: options.playlistFile },
+      '⚠️  Playlist not found, only mirroring existing logos',
+    )
+  }
 
-  const logoMap = parseLogoMappings(fullTxtPath)
-  processJsonFiles(tvDir, logoMap)
+  // 2. Mirror into logos/
+  let failed = []
+  if (options.mirror) {
+    const manifest = readManifest(options.logoDir)
+    const stats = await mirrorLogos(
+      channels
+        .map((channel) => withOverrides(channel, overrides))
+        .filter((channel) => channel.logo),
+      manifest,
+      options,
+    )
+    writeManifest(manifest, options.logoDir)
+    failed = stats.failed
+    logger.info(
+      {
+        mirrored: stats.mirrored,
+        unchanged: stats.unchanged,
+        failed: failed.length,
+      },
+      '📦 Logo store updated',
+    )
+  }
 
-  console.log('Completed.')
+  // 3. Report the channels still missing a logo
+  const report = {
+    generatedAt: new Date().toISOString(),
+    unmatched: unmatched.map(({ id, name, tvgId }) => ({ id, name, tvgId })),
+    failed,
+  }
+  report.unmatched.forEach((channel) => {
+    logger.info(channel, '❓ No logo found')
+  })
+  logger.info(
+    { unmatched: report.unmatched.length, failed: failed.length },
+    '📊 Channels still missing a logo',
+  )
+  if (options.reportFile) {
+    writeJson(options.reportFile, report)
+    logger.info({ report: options.reportFile }, '📝 Report written')
+  }
 }
 
 if (require.main === module) {
-  main()
+  main().catch((error) => {
+    logger.error({ error: error.message }, '❌ Logo update failed')
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  parseArgs,
+  parsePlaylistLogos,
+  assignLogos,
+  mirrorLogos,
+  verifyFixtures,
 }
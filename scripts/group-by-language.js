@@ -1,74 +1,570 @@
+#!/usr/bin/env node
+
+/**
+ * Language and Country Index Script
+ *
+ * Groups tv/*.json into the indexes served by the query API:
+ * - tv/language/<language>.json  Available channels of a language (a
+ *   multi-language channel is listed under every language it serves)
+ * - tv/language/_meta.json       One entry per language with its ISO 639-1
+ *   and 639-3 codes, native-script name and channel counts (count: entries
+ *   in the index, total: every channel file)
+ * - tv/language/_build.json      The options the indexes were built with
+ * - tv/language/<language>/<category>.json and _meta.json
+ *                                The same channels split by category, for
+ *                                browse screens such as "Tamil → News"
+ * - tv/category/<category>.json  Available channels of a category (a channel
+ *   with secondary categories is listed under each of them)
+ * - tv/category/_meta.json       One entry per category with its count and
+ *   total
+ * - tv/country/<code>.json       Available channels of a country
+ * - tv/country/_meta.json        One entry per country with its name and count
+ *
+ * Index entries keep the channel fields in CONFIG.indexFields (or --fields),
+ * in that order.
+ *
+ * Everything is computed in memory first. --check rebuilds with the options
+ * recorded in tv/language/_build.json, compares the result with the committed
+ * files instead of writing them and exits non-zero when any index is
+ * outdated, missing or no longer generated.
+ *
+ * A channel is available when it is active and not removed upstream. With
+ * --min-uptime, channels are kept by uptime instead (channels never checked
+ * fall back to isActive).
+ *
+ * Usage:
+ *   node scripts/group-by-language.js
+ *   node scripts/group-by-language.js --check
+ *   node scripts/group-by-language.js --min-uptime 90
+ *   node scripts/group-by-language.js --min-uptime 80 --uptime-30d
+ *   node scripts/group-by-language.js --fields id,name,logo,categoryId
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
 const fs = require('fs')
 const path = require('path')
+const { CATEGORIES, channelCategories } = require('../helpers/categories')
+const {
+  CATEGORY_DIR,
+  COUNTRY_DIR,
+  LANGUAGE_DIR,
+  ROOT_DIR,
+  TV_DIR,
+  readAllChannels,
+  readJson,
+  writeJson,
+} = require('../helpers/channel-store')
+const { countryName } = require('../helpers/countries')
+const { channelLanguages } = require('../helpers/languages')
+const {
+  FRANC_TO_LANGUAGE_NAME,
+  LANGUAGE_CODES,
+} = require('../helpers/websearch-language-detection')
 
-const tvDir = path.join(__dirname, '..', 'tv')
-const languageDir = path.join(tvDir, 'language')
+// Configuration
+const CONFIG = {
+  tvDir: TV_DIR,
+  languageDir: LANGUAGE_DIR,
+  countryDir: COUNTRY_DIR,
+  categoryDir: CATEGORY_DIR,
+  // Channel fields kept in index entries (must be allowed by
+  // schemas/language-index-entry.schema.json)
+  indexFields: [
+    'id',
+    'name',
+    'logo',
+    'language',
+    'languages',
+    'categoryId',
+    'categories',
+  ],
+  // Languages whose LANGUAGE_CODES code is not an ISO 639-1 code ("bh" is
+  // the retired code of the Bihari group; Bhojpuri only has "bho")
+  iso6391Exceptions: { bhojpuri: null },
+  // Languages that get an index file but no _meta.json entry
+  unlistedLanguages: ['unknown'],
+  buildFile: '_build.json', // Build options, in the language directory
+  entrySchemaFile: path.join(
+    ROOT_DIR,
+    'schemas',
+    'language-index-entry.schema.json',
+  ),
+}
 
-// Get all .json files in tv/
-const files = fs
-  .readdirSync(tvDir)
-  .filter((file) => file.endsWith('.json') && file !== '_meta.json')
+// ISO 639-3 code by language name
+const ISO_639_3 = Object.fromEntries(
+  Object.entries(FRANC_TO_LANGUAGE_NAME)
+    .filter(([, language]) => language)
+    .map(([code, language]) => [language, code]),
+)
 
-// Group channels by language
-const languageGroups = {}
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{check: boolean, minUptime: number|null, uptimeWindow: string,
+ *   fields: string[]}}
+ * @throws {Error} - When --min-uptime is not a percentage, or --fields is
+ *   empty or would produce entries that fail the index entry schema
+ */
+function parseArgs(argv) {
+  const minUptimeIndex = argv.indexOf('--min-uptime')
+  const fieldsIndex = argv.indexOf('--fields')
+  const options = {
+    check: argv.includes('--check'),
+    minUptime: null,
+    uptimeWindow: argv.includes('--uptime-30d') ? 'last30Days' : 'last7Days',
+    fields: CONFIG.indexFields,
+  }
 
-files.forEach((file) => {
-  const filePath = path.join(tvDir, file)
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
-    if (data.language) {
-      const lang = data.language.toLowerCase()
-      if (!languageGroups[lang]) {
-        languageGroups[lang] = []
-      }
-      languageGroups[lang].push(data)
+  if (minUptimeIndex !== -1) {
+    const value = argv[minUptimeIndex + 1]
+    options.minUptime = /^\d+(\.\d+)?$/.test(value || '') ? Number(value) : NaN
+    if (!(options.minUptime >= 0 && options.minUptime <= 100)) {
+      throw new Error(
+        `--min-uptime needs a percentage between 0 and 100, got ${value ?? 'nothing'}`,
+      )
     }
-  } catch (error) {
-    console.error(`Error reading ${file}:`, error.message)
   }
-})
 
-// Create language directory if not exists
-if (!fs.existsSync(languageDir)) {
-  fs.mkdirSync(languageDir, { recursive: true })
+  if (fieldsIndex !== -1) {
+    const value = argv[fieldsIndex + 1] || ''
+    options.fields = value
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean)
+    const schema = readJson(CONFIG.entrySchemaFile)
+    const unknown = options.fields.filter((field) => !schema.properties[field])
+    const missing = schema.required.filter(
+      (field) => !options.fields.includes(field),
+    )
+    if (value.startsWith('--') || options.fields.length === 0) {
+      throw new Error('--fields needs a comma-separated list of fields')
+    }
+    if (unknown.length > 0) {
+      throw new Error(
+        `--fields: ${unknown.join(', ')} not allowed by ${path.basename(CONFIG.entrySchemaFile)}`,
+      )
+    }
+    if (missing.length > 0) {
+      throw new Error(
+        `--fields must include ${missing.join(', ')} (required by ${path.basename(CONFIG.entrySchemaFile)})`,
+      )
+    }
+  }
+
+  return options
+}
+
+/**
+ * Read the options the committed indexes were built with
+ * @param {string} languageDir - Language index directory
+ * @returns {{minUptime: number|null, uptimeWindow: string, fields: string[]}|
+ *   null} - Recorded options, null when _build.json does not exist
+ */
+function readBuildOptions(languageDir = CONFIG.languageDir) {
+  const buildFile = path.join(languageDir, CONFIG.buildFile)
+  return fs.existsSync(buildFile) ? readJson(buildFile) : null
+}
+
+/**
+ * Check whether a channel belongs in the indexes
+ * @param {Object} channel - Channel record
+ * @param {{minUptime: number|null, uptimeWindow: string}} options - Filter
+ * @returns {boolean} - True for active channels (or channels above the
+ *   uptime threshold)
+ */
+function isAvailable(channel, options) {
+  if (channel.removedAt) {
+    return false
+  }
+  const uptime = channel.uptime ? channel.uptime[options.uptimeWindow] : null
+  if (options.minUptime === null || typeof uptime !== 'number') {
+    return channel.isActive === true
+  }
+  return uptime >= options.minUptime
+}
+
+/**
+ * Strip a channel record down to an index entry
+ * @param {Object} channel - Channel record
+ * @param {string[]} fields - Fields to keep (default: CONFIG.indexFields)
+ * @returns {Object} - The kept fields the channel has, in the given order
+ */
+function toIndexEntry(channel, fields = CONFIG.indexFields) {
+  const entry = {}
+  fields.forEach((field) => {
+    if (channel[field] !== undefined) {
+      entry[field] = channel[field]
+    }
+  })
+  return entry
+}
+
+/**
+ * Group channels by key
+ * @param {Object[]} channels - Channel records
+ * @param {Function} keysOf - Keys of a channel (e.g., channelLanguages)
+ * @returns {Object<string, Object[]>} - Channels by key, in channel order
+ */
+function groupChannels(channels, keysOf) {
+  const groups = {}
+  channels.forEach((channel) => {
+    keysOf(channel).forEach((key) => {
+      if (!groups[key]) {
+        groups[key] = []
+      }
+      groups[key].push(channel)
+    })
+  })
+  return groups
+}
+
+/**
+ * Build the index files of grouped channels
+ * @param {Object<string, Object[]>} groups - Channels by key
+ * @param {Object} options - Filter and field options
+ * @returns {Object<string, Object[]>} - <key>.json contents (available
+ *   channels only)
+ */
+function indexFiles(groups, options) {
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, channels]) => [
+      `${key}.json`,
+      channels
+        .filter((channel) => isAvailable(channel, options))
+        .map((channel) => toIndexEntry(channel, options.fields)),
+    ]),
+  )
+}
+
+/**
+ * Sort keys by their position in a reference list, unknown keys last
+ * @param {string[]} keys - Keys to sort
+ * @param {string[]} order - Reference order
+ * @returns {string[]}
+ */
+function sortByOrder(keys, order) {
+  const rank = (key) =>
+    order.includes(key) ? order.indexOf(key) : order.length
+  return [...keys].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+}
+
+/**
+ * Capitalize an index key for display
+ * @param {string} slug - Language or category (e.g., "news")
+ * @returns {string} - e.g. "News"
+ */
+function displayName(slug) {
+  return slug.charAt(0).toUpperCase() + slug.slice(1)
+}
+
+/**
+ * Build the _meta.json entries of category indexes
+ * @param {Object<string, Object[]>} groups - Channels by category
+ * @param {Object<string, Object[]>} files - Result of indexFiles(groups)
+ * @returns {Array<{name: string, slug: string, count: number, total: number}>}
+ *   In CATEGORIES order
+ */
+function categoryMeta(groups, files) {
+  return sortByOrder(Object.keys(groups), CATEGORIES).map((category) => ({
+    name: displayName(category),
+    slug: category,
+    count: files[`${category}.json`].length,
+    total: groups[category].length,
+  }))
+}
+
+/**
+ * Describe a language for tv/language/_meta.json
+ * @param {string} slug - Language name (e.g., "tamil")
+ * @returns {{name: string, nativeName: string, slug: string,
+ *   iso639_1: string|null, iso639_3: string|null}}
+ */
+function languageInfo(slug) {
+  const name = displayName(slug)
+  const iso639_1 =
+    slug in CONFIG.iso6391Exceptions
+      ? CONFIG.iso6391Exceptions[slug]
+      : LANGUAGE_CODES[slug] || null
+  const iso639_3 = ISO_639_3[slug] || null
+
+  // The language's own name in its own locale (e.g., "தமிழ்")
+  const code = iso639_1 || iso639_3
+  const nativeName = code
+    ? new Intl.DisplayNames([code], { type: 'language', fallback: 'none' }).of(
+        code,
+      )
+    : null
+
+  return { name, nativeName: nativeName || name, slug, iso639_1, iso639_3 }
+}
+
+/**
+ * Build the language indexes
+ * @param {Object[]} channels - Channel records
+ * @param {Object} options - Filter and field options (see parseArgs)
+ * @returns {Object<string, Object>} - File contents by path relative to the
+ *   language directory
+ */
+function buildLanguageIndexes(channels, options) {
+  const groups = groupChannels(channels, channelLanguages)
+  const files = indexFiles(groups, options)
+
+  // Per-language category indexes (tv/language/<language>/<category>.json)
+  Object.entries(groups).forEach(([language, languageChannels]) => {
+    const categoryGroups = groupChannels(languageChannels, channelCategories)
+    const categoryFiles = indexFiles(categoryGroups, options)
+    Object.entries(categoryFiles).forEach(([name, entries]) => {
+      files[path.join(language, name)] = entries
+    })
+    files[path.join(language, '_meta.json')] = categoryMeta(
+      categoryGroups,
+      categoryFiles,
+    )
+  })
+
+  // _meta.json follows the LANGUAGE_CODES order, then any other language
+  files['_meta.json'] = sortByOrder(
+    Object.keys(groups).filter(
+      (language) => !CONFIG.unlistedLanguages.includes(language),
+    ),
+    Object.keys(LANGUAGE_CODES),
+  ).map((language) => ({
+    ...languageInfo(language),
+    count: files[`${language}.json`].length,
+    total: groups[language].length,
+  }))
+
+  // The build options, for --check and the query API's active-channel
+  // shortcut
+  files[CONFIG.buildFile] = {
+    minUptime: options.minUptime,
+    uptimeWindow: options.uptimeWindow,
+    fields: options.fields,
+  }
+
+  return files
 }
 
-// Filter to only active channels
-Object.keys(languageGroups).forEach((lang) => {
-  languageGroups[lang] = languageGroups[lang].filter(
-    (channel) => channel.isActive === true,
+/**
+ * Build the category indexes
+ * @param {Object[]} channels - Channel records
+ * @param {Object} options - Filter and field options (see parseArgs)
+ * @returns {Object<string, Object>} - File contents by file name
+ */
+function buildCategoryIndexes(channels, options) {
+  const groups = groupChannels(channels, channelCategories)
+  const files = indexFiles(groups, options)
+  files['_meta.json'] = categoryMeta(groups, files)
+  return files
+}
+
+/**
+ * Build the country indexes
+ * @param {Object[]} channels - Channel records
+ * @param {Object} options - Filter and field options (see parseArgs)
+ * @returns {Object<string, Object>} - File contents by file name
+ */
+function buildCountryIndexes(channels, options) {
+  // Only countries with available channels get an index
+  const groups = groupChannels(
+    channels.filter((channel) => isAvailable(channel, options)),
+    (channel) => (channel.country ? [channel.country] : []),
   )
-})
-
-// Clean channels by removing specified fields
-Object.keys(languageGroups).forEach((lang) => {
-  languageGroups[lang] = languageGroups[lang].map((channel) => {
-    const {
-      streamUrl,
-      language,
-      isActive,
-      tvgId,
-      categoryId,
-      quality,
-      ...rest
-    } = channel
-    return rest
+
+  const files = {}
+  const codes = Object.keys(groups).sort()
+  codes.forEach((code) => {
+    files[`${code}.json`] = groups[code].map((channel) =>
+      toIndexEntry(channel, options.fields),
+    )
+  })
+  files['_meta.json'] = codes.map((code) => ({
+    code,
+    name: countryName(code) || code.toUpperCase(),
+    count: groups[code].length,
+  }))
+
+  return files
+}
+
+/**
+ * Build every index
+ * @param {Object[]} channels - Channel records
+ * @param {Object} options - Filter and field options (see parseArgs)
+ * @param {{languageDir: string, categoryDir: string, countryDir: string}} dirs
+ *   Index directories
+ * @returns {Map<string, Object>} - File contents by absolute path
+ */
+function buildIndexes(channels, options, dirs = CONFIG) {
+  const outputs = new Map()
+  const add = (dir, files) => {
+    Object.entries(files).forEach(([name, data]) => {
+      outputs.set(path.join(dir, name), data)
+    })
+  }
+  add(dirs.languageDir, buildLanguageIndexes(channels, options))
+  add(dirs.categoryDir, buildCategoryIndexes(channels, options))
+  add(dirs.countryDir, buildCountryIndexes(channels, options))
+  return outputs
+}
+
+/**
+ * List index files on disk that are not generated any more
+ * @param {Map<string, Object>} outputs - Result of buildIndexes()
+ * @param {string[]} dirs - Index directories
+ * @returns {string[]} - Absolute paths
+ */
+function orphanedFiles(outputs, dirs) {
+  const listJson = (dir) =>
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const file = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        return listJson(file)
+      }
+      return entry.name.endsWith('.json') ? [file] : []
+    })
+
+  return dirs
+    .filter((dir) => fs.existsSync(dir))
+    .flatMap(listJson)
+    .filter((file) => !outputs.has(file))
+}
+
+/**
+ * Compare the generated indexes with the files on disk
+ * @param {Map<string, Object>} outputs - Result of buildIndexes()
+ * @param {string[]} dirs - Index directories
+ * @returns {Array<{file: string, reason: string}>} - Stale files with
+ *   "outdated", "missing" or "not generated any more"
+ */
+function findStale(outputs, dirs) {
+  const stale = []
+
+  outputs.forEach((data, file) => {
+    if (!fs.existsSync(file)) {
+      stale.push({ file, reason: 'missing' })
+      return
+    }
+    let current
+    try {
+      current = readJson(file)
+    } catch {
+      current = undefined
+    }
+    if (JSON.stringify(current) !== JSON.stringify(data)) {
+      stale.push({ file, reason: 'outdated' })
+    }
   })
-})
-
-// Write each language file
-const summary = {}
-Object.keys(languageGroups).forEach((lang) => {
-  const filePath = path.join(languageDir, `${lang}.json`)
-  fs.writeFileSync(filePath, JSON.stringify(languageGroups[lang], null, 2))
-  summary[lang] = languageGroups[lang].length
-})
-
-// Output summary
-console.log('Summary of created files:')
-Object.keys(summary)
-  .sort()
-  .forEach((lang) => {
-    console.log(`${lang}: ${summary[lang]} channels`)
+  orphanedFiles(outputs, dirs).forEach((file) => {
+    stale.push({ file, reason: 'not generated any more' })
   })
-console.log(`Total languages: ${Object.keys(summary).length}`)
+
+  return stale
+}
+
+/**
+ * Write the generated indexes and remove the ones no longer generated
+ * @param {Map<string, Object>} outputs - Result of buildIndexes()
+ * @param {string[]} dirs - Index directories
+ * @returns {string[]} - Removed files
+ */
+function writeIndexes(outputs, dirs) {
+  outputs.forEach((data, file) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    writeJson(file, data)
+  })
+
+  const removed = orphanedFiles(outputs, dirs)
+  removed.forEach((file) => {
+    fs.unlinkSync(file)
+    // Drop per-language directories left empty
+    const dir = path.dirname(file)
+    if (!dirs.includes(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir)
+    }
+  })
+  return removed
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  let args
+  try {
+    args = parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+  // --check rebuilds the indexes the way they were built
+  const options = args.check
+    ? { ...args, ...readBuildOptions(CONFIG.languageDir) }
+    : args
+  const dirs = [CONFIG.languageDir, CONFIG.categoryDir, CONFIG.countryDir]
+  const channels = readAllChannels(CONFIG.tvDir)
+  const outputs = buildIndexes(channels, options)
+
+  if (options.check) {
+    const stale = findStale(outputs, dirs)
+    stale.forEach(({ file, reason }) => {
+      console.log(`✗ ${path.relative(ROOT_DIR, file)}: ${reason}`)
+    })
+    if (stale.length > 0) {
+      console.log(
+        `\n❌ ${stale.length} stale index files, run: node scripts/group-by-language.js`,
+      )
+      process.exit(1)
+    }
+    console.log(`✅ All ${outputs.size} index files are up to date`)
+    return
+  }
+
+  const removed = writeIndexes(outputs, dirs)
+  const languageMeta = outputs.get(path.join(CONFIG.languageDir, '_meta.json'))
+  const categoryMeta = outputs.get(path.join(CONFIG.categoryDir, '_meta.json'))
+  const countryMeta = outputs.get(path.join(CONFIG.countryDir, '_meta.json'))
+
+  console.log('Summary of created files:')
+  languageMeta.forEach((entry) => {
+    console.log(
+      `${entry.slug} (${entry.nativeName}): ${entry.count}/${entry.total} channels active`,
+    )
+  })
+  console.log(`Total languages: ${languageMeta.length}`)
+
+  console.log('\nCategory indexes:')
+  categoryMeta.forEach((entry) => {
+    console.log(`${entry.slug}: ${entry.count}/${entry.total} channels active`)
+  })
+  console.log(`Total categories: ${categoryMeta.length}`)
+
+  console.log('\nCountry indexes:')
+  countryMeta.forEach((country) => {
+    console.log(`${country.code}: ${country.count} channels`)
+  })
+  console.log(`Total countries: ${countryMeta.length}`)
+
+  removed.forEach((file) => {
+    console.log(`🗑️  Removed ${path.relative(ROOT_DIR, file)}`)
+  })
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  parseArgs,
+  readBuildOptions,
+  isAvailable,
+  toIndexEntry,
+  languageInfo,
+  buildLanguageIndexes,
+  buildCategoryIndexes,
+  buildCountryIndexes,
+  buildIndexes,
+  findStale,
+}
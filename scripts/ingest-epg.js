@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * EPG Ingestion Script
+ *
+ * Reads a local XMLTV guide and maps it onto the channels in tv/ with the
+ * shared fuzzy matcher: by tvgId (with or without the @SD/@HD feed suffix),
+ * then by channel name against the XMLTV display names. --threshold sets the
+ * minimum match score.
+ *
+ * Output (default directory: epg/):
+ * - programmes/<channelId>.json  Programme list of each matched channel
+ * - now-next.json                Compact now/next index served by the query API
+ * - unmatched.json               Channels without an EPG match
+ *
+ * Usage:
+ *   node scripts/ingest-epg.js --xmltv data/epg/guide.xml
+ *   node scripts/ingest-epg.js --xmltv guide.xml --out /tmp/epg
+ *   node scripts/ingest-epg.js --xmltv guide.xml --threshold 0.95
+ *
+ * @author Senior Backend Automation Engineer
+ * @requires ../helpers/epg - XMLTV parsing and matching
+ * @requires ../helpers/fuzzy - tvgId and name matching
+ */
+
+const fs = require('fs')
+const path = require('path')
+const {
+  ROOT_DIR,
+  readAllChannels,
+  writeJson,
+} = require('../helpers/channel-store')
+const { findNowNext, matchChannels, parseXmltv } = require('../helpers/epg')
+
+// Configuration
+const CONFIG = {
+  xmltvFile: path.join(ROOT_DIR, 'data', 'epg', 'guide.xml'),
+  outDir: path.join(ROOT_DIR, 'epg'),
+  threshold: 0.9, // Minimum match score (name matches below it are ignored)
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{xmltvFile: string, outDir: string, threshold: number}}
+ */
+function parseArgs(argv) {
+  const options = { ...CONFIG }
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--xmltv') {
+      options.xmltvFile = path.resolve(argv[++i])
+    } else if (argv[i] === '--out') {
+      options.outDir = path.resolve(argv[++i])
+    } else if (argv[i] === '--threshold') {
+      options.threshold = Number(argv[++i])
+    }
+  }
+
+  return options
+}
+
+/**
+ * Keep only the fields clients need for a now/next entry
+ * @param {Object|null} programme - Programme
+ * @returns {Object|null} - { title, start, stop }
+ */
+function compactProgramme(programme) {
+  return programme
+    ? { title: programme.title, start: programme.start, stop: programme.stop }
+    : null
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (!fs.existsSync(options.xmltvFile)) {
+    console.error(`✗ XMLTV file not found: ${options.xmltvFile}`)
+    process.exit(1)
+  }
+
+  console.log('📖 Reading XMLTV:', options.xmltvFile)
+  const guide = parseXmltv(fs.readFileSync(options.xmltvFile, 'utf-8'))
+  console.log(
+    `   ${guide.channels.length} EPG channels, ${guide.programmes.length} programmes`,
+  )
+
+  const channels = readAllChannels()
+  const { matches, details, unmatched } = matchChannels(
+    channels,
+    guide.channels,
+    { threshold: options.threshold },
+  )
+  const byMethod = Object.values(details).reduce((acc, { method }) => {
+    acc[method] = (acc[method] || 0) + 1
+    return acc
+  }, {})
+
+  // Group programmes by XMLTV channel id
+  const programmesByEpgId = guide.programmes.reduce((acc, programme) => {
+    if (!acc[programme.channel]) {
+      acc[programme.channel] = []
+    }
+    const { channel, ...rest } = programme
+    acc[programme.channel].push(rest)
+    return acc
+  }, {})
+
+  // Write per-channel programme files and build the now/next index
+  const programmesDir = path.join(options.outDir, 'programmes')
+  fs.rmSync(programmesDir, { recursive: true, force: true })
+  fs.mkdirSync(programmesDir, { recursive: true })
+
+  const now = Date.now()
+  const nowNext = {}
+  let withProgrammes = 0
+
+  Object.entries(matches).forEach(([channelId, epgId]) => {
+    const programmes = (programmesByEpgId[epgId] || []).sort(
+      (a, b) => Date.parse(a.start) - Date.parse(b.start),
+    )
+    if (programmes.length === 0) {
+      return
+    }
+
+    withProgrammes++
+    writeJson(path.join(programmesDir, `${channelId}.json`), programmes)
+
+    const current = findNowNext(programmes, now)
+    nowNext[channelId] = {
+      epgId,
+      now: compactProgramme(current.now),
+      next: compactProgramme(current.next),
+    }
+  })
+
+  writeJson(path.join(options.outDir, 'now-next.json'), {
+    generatedAt: new Date(now).toISOString(),
+    channels: nowNext,
+  })
+
+  // Report channels with no EPG match
+  const unmatchedReport = unmatched.map((channel) => ({
+    id: channel.id,
+    name: channel.name,
+    tvgId: channel.tvgId,
+  }))
+  writeJson(path.join(options.outDir, 'unmatched.json'), unmatchedReport)
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Channels: ${channels.length}`)
+  console.log(`   Matched: ${Object.keys(matches).length}`)
+  Object.entries(byMethod).forEach(([method, count]) => {
+    console.log(`     by ${method}: ${count}`)
+  })
+  console.log(`   With programmes: ${withProgrammes}`)
+  console.log(`   Unmatched: ${unmatched.length}`)
+  console.log(`   Output directory: ${options.outDir}`)
+
+  if (unmatched.length > 0) {
+    console.log(`\n⚠️  Channels without EPG (first 20):`)
+    unmatchedReport.slice(0, 20).forEach((channel) => {
+      console.log(`   ${channel.id} [${channel.tvgId || 'no tvgId'}]`)
+    })
+  }
+}
+
+if (require.main === module) {
+  main()
+}
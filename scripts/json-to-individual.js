@@ -1,58 +1,324 @@
 #!/usr/bin/env node
 
+/**
+ * Split data/channels.json into individual tv/<id>.json files.
+ *
+ * Entries sharing a tvgId are merged into one channel with a sources array
+ * (only channels with more than one source get one). --merge-threshold also
+ * merges entries the fuzzy matcher (helpers/fuzzy.js) scores at least that
+ * high, such as the @SD and @HD feeds of one channel. Entries with different
+ * ids are never merged, so no existing file is retired by a sync; use
+ * scripts/dedupe.js to merge channel files (it records aliases).
+ *
+ * Default mode only creates files for new channels. With --sync, existing
+ * files are reconciled with the playlist as well:
+ * - Upstream fields (streamUrl, tvgId, quality, country, sources and the
+ *   playback settings group, headers, tvgShift, catchup, kodiProps) are
+ *   updated when they change and removed when the playlist no longer has
+ *   them; sources is removed when only one is left
+ * - A quality check-streams.js read from the manifest (with variants) is kept
+ *   over the one in the playlist title until streamUrl changes
+ * - Fields added later (language, logo, manual edits) are preserved
+ * - Channels that vanished from the playlist are marked inactive with a
+ *   removedAt timestamp instead of being deleted (and restored if they return)
+ * - Entries that share an id, because assignIds mapped them onto a file they
+ *   were merged into, are written as one channel with all their sources
+ *
+ * Every written record gets its entry in overrides.json applied (see
+ * helpers/overrides.js), so manual language, category, logo and isActive
+ * corrections win over the playlist.
+ *
+ * Usage:
+ *   node scripts/json-to-individual.js
+ *   node scripts/json-to-individual.js --sync
+ *   node scripts/json-to-individual.js --sync --dry-run --report sync-report.json
+ *   node scripts/json-to-individual.js --input /tmp/channels.json
+ *   node scripts/json-to-individual.js --sync --merge-threshold 0.9
+ */
+
 const fs = require('fs')
 const path = require('path')
+const { classifyChannel } = require('../helpers/categories')
+const { normalizeQuality } = require('../helpers/hls')
+const {
+  findOverride,
+  loadOverrides,
+  withOverrides,
+} = require('../helpers/overrides')
+const {
+  carryOverHealth,
+  mergeByTvgId,
+  mergeEntries,
+} = require('../helpers/sources')
+const {
+  CHANNELS_FILE,
+  listChannelIds,
+  readChannel,
+  writeChannel,
+  writeJson,
+} = require('../helpers/channel-store')
+
+// Optional fields parsed from #EXTINF, #EXTGRP, #EXTVLCOPT and #KODIPROP
+const PLAYBACK_FIELDS = ['group', 'headers', 'tvgShift', 'catchup', 'kodiProps']
+
+function convertToTvFormat(channel) {
+  const { categoryId, categories } = classifyChannel(channel, {
+    override: findOverride(channel, loadOverrides()),
+  })
+  const tvChannel = {
+    id: channel.id,
+    name: channel.name,
+    categoryId,
+    ...(categories.length > 1 ? { categories } : {}),
+    streamUrl: channel.streamUrl,
+    tvgId: channel.tvgId,
+    isActive: true,
+  }
+
+  const quality = normalizeQuality(channel.quality)
+  if (quality) {
+    tvChannel.quality = quality
+  }
+
+  if (channel.country) {
+    tvChannel.country = channel.country
+  }
+  if (channel.sources?.length > 1) {
+    tvChannel.sources = channel.sources
+  }
+
+  // Playback settings from the playlist entry (see helpers/m3u.js)
+  PLAYBACK_FIELDS.forEach((field) => {
+    if (channel[field] !== undefined) {
+      tvChannel[field] = channel[field]
+    }
+  })
 
-// Category mapping based on channel name patterns
-const categoryPatterns = {
-  news: /news|aaj tak|abp|ndtv|zee news|india today|times now/i,
-  entertainment: /tv|zee|star|sony|colors|&tv|sab|rishtey|dangal/i,
-  music: /music|mtv|bindass|9xm|jalwa|jhakaas|tashan/i,
-  movies: /movies|cinema|film|flix|pictures|bollywood/i,
-  devotional: /aastha|god|bhajan|dharm|sanskar|shubh/i,
-  sports: /sports|cricket|football|tennis|fifa|espn|star sports/i,
-  kids: /kids|cartoon|pogo|nick|disney|hungama/i,
-  documentary: /discovery|national geographic|animal planet|history|nat geo/i,
-  lifestyle: /food|travel|lifestyle|fashion|living/i,
+  return withOverrides(tvChannel)
 }
 
-function determineCategory(channelName) {
-  const name = channelName.toLowerCase()
+// Fields owned by the upstream playlist; everything else in tv/<id>.json is
+// added later and never overwritten by a sync
+const UPSTREAM_FIELDS = [
+  'streamUrl',
+  'tvgId',
+  'quality',
+  'country',
+  'sources',
+  ...PLAYBACK_FIELDS,
+]
+
+/**
+ * Reconcile tv/ with the playlist
+ * @param {Object[]} channels - Channels from data/channels.json
+ * @param {string} outputDir - Channel directory
+ * @param {{dryRun: boolean}} options - Sync options
+ * @returns {Object} - Report with added, changed, removed and restored channels
+ */
+function syncChannels(channels, outputDir, options) {
+  const now = new Date().toISOString()
+  const report = {
+    generatedAt: now,
+    added: [],
+    changed: [],
+    removed: [],
+    restored: [],
+    unchanged: 0,
+  }
 
-  for (const [category, pattern] of Object.entries(categoryPatterns)) {
-    if (pattern.test(name)) {
-      return category
+  const write = (channel) => {
+    if (!options.dryRun) {
+      writeChannel(withOverrides(channel), outputDir)
     }
   }
 
-  return 'general'
+  // Entries sharing an id (merged by scripts/dedupe.js) become one channel
+  const byId = new Map()
+  channels.forEach((channel) => {
+    if (!channel.id) {
+      return
+    }
+    if (!byId.has(channel.id)) {
+      byId.set(channel.id, [])
+    }
+    byId.get(channel.id).push(channel)
+  })
+  const upstream = new Map()
+  byId.forEach((group, id) => {
+    const channel = group.length > 1 ? mergeEntries(group) : group[0]
+    upstream.set(id, convertToTvFormat(channel))
+  })
+
+  upstream.forEach((tvChannel, id) => {
+    const existing = readChannel(id, outputDir)
+    const changes = {}
+
+    if (!existing) {
+      write(tvChannel)
+      report.added.push({ id, name: tvChannel.name })
+      return
+    }
+
+    // Per-source check results are not part of the playlist
+    if (tvChannel.sources) {
+      tvChannel.sources = carryOverHealth(tvChannel.sources, existing.sources)
+    } else if (existing.sources) {
+      // Down to a single source: streamUrl carries it
+      changes.sources = { from: existing.sources, to: null }
+      delete existing.sources
+    }
+
+    // The probed quality describes streamUrl better than the playlist title;
+    // a new streamUrl makes it (and the variants) stale
+    if (existing.variants?.length > 0) {
+      if (tvChannel.streamUrl === existing.streamUrl) {
+        tvChannel.quality = existing.quality
+      } else {
+        changes.variants = { from: existing.variants, to: null }
+        delete existing.variants
+      }
+    }
+
+    UPSTREAM_FIELDS.forEach((field) => {
+      if (tvChannel[field] === undefined) {
+        // Dropped upstream (e.g. headers a stream no longer needs)
+        if (existing[field] !== undefined) {
+          changes[field] = { from: existing[field], to: null }
+          delete existing[field]
+        }
+      } else if (
+        JSON.stringify(tvChannel[field]) !== JSON.stringify(existing[field])
+      ) {
+        changes[field] = { from: existing[field] ?? null, to: tvChannel[field] }
+        existing[field] = tvChannel[field]
+      }
+    })
+
+    const restored = Boolean(existing.removedAt)
+    if (restored) {
+      delete existing.removedAt
+      existing.isActive = true
+      report.restored.push({ id, name: existing.name })
+    }
+
+    const changed = Object.keys(changes).length > 0
+    if (changed) {
+      report.changed.push({ id, changes })
+    }
+    if (changed || restored) {
+      write(existing)
+    } else {
+      report.unchanged++
+    }
+  })
+
+  // Channels no longer in the playlist are deactivated, never deleted
+  listChannelIds(outputDir)
+    .filter((id) => !upstream.has(id))
+    .forEach((id) => {
+      const existing = readChannel(id, outputDir)
+      if (existing.removedAt) {
+        return
+      }
+      existing.isActive = false
+      existing.removedAt = now
+      write(existing)
+      report.removed.push({ id, name: existing.name })
+    })
+
+  return report
 }
 
-function convertToTvFormat(channel) {
-  return {
-    id: channel.id,
-    name: channel.name,
-    categoryId: determineCategory(channel.name),
-    streamUrl: channel.streamUrl,
-    tvgId: channel.tvgId,
-    isActive: true,
+/**
+ * Print a sync report
+ * @param {Object} report - Report from syncChannels()
+ */
+function printSyncReport(report) {
+  const show = (label, items, format) => {
+    console.log(`\n${label} (${items.length}):`)
+    items.slice(0, 20).forEach((item) => {
+      console.log(`   ${format(item)}`)
+    })
+    if (items.length > 20) {
+      console.log(`   ... and ${items.length - 20} more`)
+    }
   }
+
+  show('➕ Added', report.added, (item) => `${item.id} (${item.name})`)
+  const formatValue = (value) =>
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+  show('✏️  Changed', report.changed, (item) =>
+    Object.entries(item.changes)
+      .map(
+        ([field, { from, to }]) =>
+          `${item.id}.${field}: ${formatValue(from)} → ${formatValue(to)}`,
+      )
+      .join(', '),
+  )
+  show('➖ Removed (marked inactive)', report.removed, (item) => item.id)
+  show('♻️  Restored', report.restored, (item) => item.id)
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Added: ${report.added.length}`)
+  console.log(`   Changed: ${report.changed.length}`)
+  console.log(`   Removed: ${report.removed.length}`)
+  console.log(`   Restored: ${report.restored.length}`)
+  console.log(`   Unchanged: ${report.unchanged}`)
 }
 
 function main() {
-  const inputFile = path.join(__dirname, '..', 'data', 'in.json')
+  const args = process.argv.slice(2)
+  const sync = args.includes('--sync')
+  const dryRun = args.includes('--dry-run')
+  const reportIndex = args.indexOf('--report')
+  const reportFile = reportIndex !== -1 ? args[reportIndex + 1] : null
+
+  const thresholdIndex = args.indexOf('--merge-threshold')
+  const mergeThreshold =
+    thresholdIndex !== -1 ? Number(args[thresholdIndex + 1]) : undefined
+
+  const inputIndex = args.indexOf('--input')
+  const inputFile =
+    inputIndex !== -1 ? path.resolve(args[inputIndex + 1]) : CHANNELS_FILE
   const outputDir = path.join(__dirname, '..', 'tv')
 
+  if (!fs.existsSync(inputFile)) {
+    console.error(`✗ ${inputFile} not found (run npm run m3u-to-json first)`)
+    process.exit(1)
+  }
+
   console.log('Reading:', inputFile)
-  const channels = JSON.parse(fs.readFileSync(inputFile, 'utf-8'))
+  const entries = JSON.parse(fs.readFileSync(inputFile, 'utf-8'))
+
+  // Entries sharing a tvgId become one channel with several sources; entries
+  // assigned to different files stay apart
+  const channels = mergeByTvgId(entries, {
+    threshold: mergeThreshold,
+    fileOf: (entry) => entry.id || null,
+  })
 
-  console.log(`Found ${channels.length} channels`)
+  console.log(
+    `Found ${channels.length} channels (${entries.length} playlist entries)`,
+  )
 
   // Ensure output directory exists
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true })
   }
 
+  if (sync) {
+    const report = syncChannels(channels, outputDir, { dryRun })
+    printSyncReport(report)
+    if (reportFile) {
+      writeJson(path.resolve(reportFile), report)
+      console.log(`\n📝 Report written to ${reportFile}`)
+    }
+    if (dryRun) {
+      console.log('\n💡 Dry run: no files were written')
+    }
+    return
+  }
+
   let created = 0
   let skipped = 0
 
@@ -85,8 +351,10 @@ function main() {
 
   // Show category distribution
   const categories = channels.reduce((acc, channel) => {
-    const category = determineCategory(channel.name)
-    acc[category] = (acc[category] || 0) + 1
+    const { categoryId } = classifyChannel(channel, {
+      override: findOverride(channel, loadOverrides()),
+    })
+    acc[categoryId] = (acc[categoryId] || 0) + 1
     return acc
   }, {})
 
@@ -98,4 +366,13 @@ function main() {
     })
 }
 
-main()
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  UPSTREAM_FIELDS,
+  PLAYBACK_FIELDS,
+  convertToTvFormat,
+  syncChannels,
+}
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Language Cache Script
+ *
+ * Inspects and invalidates the language detection cache
+ * (.language-cache.json, see helpers/language-cache.js):
+ * - stats       Entries per source, how many expired, detector version
+ * - invalidate  Remove the entries matching every given filter
+ *               (--source, --language, --domain)
+ * - prune       Remove expired entries
+ *
+ * Loading the cache migrates it to the current layout and detector version,
+ * so any command also saves the migrated file.
+ *
+ * Usage:
+ *   node scripts/language-cache.js
+ *   node scripts/language-cache.js invalidate --source pattern
+ *   node scripts/language-cache.js invalidate --language hindi --source web
+ *   node scripts/language-cache.js invalidate --domain SunTV.in
+ *   node scripts/language-cache.js prune
+ *   node scripts/language-cache.js stats --cache-file /tmp/cache.json
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const path = require('path')
+const {
+  CONFIG: CACHE_CONFIG,
+  LanguageCache,
+  ttlFor,
+} = require('../helpers/language-cache')
+const { DETECTOR_VERSION } = require('../helpers/websearch-language-detection')
+
+// Configuration
+const CONFIG = {
+  commands: ['stats', 'invalidate', 'prune'],
+  filters: ['source', 'language', 'domain'],
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, filters: Object, cacheFile: string}}
+ */
+function parseArgs(argv) {
+  const options = {
+    command: argv[0] && !argv[0].startsWith('--') ? argv[0] : 'stats',
+    filters: {},
+    cacheFile: CACHE_CONFIG.cacheFile,
+  }
+
+  CONFIG.filters.forEach((filter) => {
+    const index = argv.indexOf(`--${filter}`)
+    if (index !== -1 && argv[index + 1]) {
+      options.filters[filter] = argv[index + 1]
+    }
+  })
+  const cacheIndex = argv.indexOf('--cache-file')
+  if (cacheIndex !== -1 && argv[cacheIndex + 1]) {
+    options.cacheFile = path.resolve(argv[cacheIndex + 1])
+  }
+
+  return options
+}
+
+/**
+ * Format a TTL for display
+ * @param {number|null} ttl - TTL in ms
+ * @returns {string} - e.g. "30d" or "never"
+ */
+function formatTtl(ttl) {
+  if (ttl === null) {
+    return 'never'
+  }
+  const days = ttl / (24 * 60 * 60 * 1000)
+  return days >= 1 ? `${days}d` : `${Math.round(days * 24)}h`
+}
+
+/**
+ * Print entries per source
+ * @param {LanguageCache} cache - Loaded cache
+ */
+function printStats(cache) {
+  const bySource = cache.stats()
+
+  console.log(
+    `\n📊 ${cache.size} entries (detector version ${DETECTOR_VERSION})`,
+  )
+  console.log('\n   Source           Entries  Expired  TTL')
+  Object.entries(bySource)
+    .sort((a, b) => b[1].total - a[1].total)
+    .forEach(([source, { total, expired }]) => {
+      console.log(
+        `   ${source.padEnd(16)} ${String(total).padStart(7)} ${String(expired).padStart(8)}  ${formatTtl(ttlFor(source))}`,
+      )
+    })
+
+  const expired = Object.values(bySource).reduce(
+    (sum, counts) => sum + counts.expired,
+    0,
+  )
+  if (expired > 0) {
+    console.log('\n💡 Tip: use prune to remove the expired entries')
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!CONFIG.commands.includes(options.command)) {
+    console.error(
+      `❌ Unknown command: ${options.command} (available: ${CONFIG.commands.join(', ')})`,
+    )
+    process.exit(1)
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+  console.log('🗂️  LANGUAGE CACHE')
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
+
+  const cache = new LanguageCache(options.cacheFile)
+  if (cache.loadError) {
+    console.error(`❌ Failed to load cache: ${cache.loadError.message}`)
+    process.exit(1)
+  }
+  if (cache.migration) {
+    const { fromVersion, toVersion, kept, dropped } = cache.migration
+    console.log(
+      `♻️  Migrated from detector version ${fromVersion ?? 'none (flat file)'} to ${toVersion}: kept ${kept}, dropped ${dropped}`,
+    )
+  }
+
+  if (options.command === 'invalidate') {
+    if (Object.keys(options.filters).length === 0) {
+      console.error(
+        '❌ invalidate needs at least one of --source, --language or --domain',
+      )
+      process.exit(1)
+    }
+    const removed = cache.invalidate(options.filters)
+    removed.forEach((domain) => {
+      console.log(`   ✗ ${domain}`)
+    })
+    console.log(`\n✓ Invalidated ${removed.length} entries`)
+  }
+
+  if (options.command === 'prune') {
+    const removed = cache.prune()
+    console.log(`✓ Pruned ${removed.length} expired entries`)
+  }
+
+  cache.flush()
+  printStats(cache)
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  parseArgs,
+  formatTtl,
+}
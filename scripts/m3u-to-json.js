@@ -1,107 +1,342 @@
 #!/usr/bin/env node
 
+/**
+ * M3U to JSON Conversion Script
+ *
+ * Parses country playlists (data/iptv/streams/<country>.m3u) into one
+ * consolidated JSON file (default: data/channels.json):
+ * - Entries sharing a tvgId, within or across playlists, are merged into one
+ *   channel with several sources (--merge-threshold also merges fuzzy matches
+ *   such as "AasthaTamil.in@SD" and "AasthaTamil.in@HD")
+ * - Each channel gets a country (ISO 3166-1 alpha-2) from its tvg-country
+ *   attribute, its tvgId feed, its name, its tvgId suffix or, failing that,
+ *   from the playlist file name; region feeds ("@Europe") get none
+ * - Ids are collision-free and stable against existing tv/ files
+ *
+ * --verify derives the country of the known tvgId/name pairs in
+ * fixtures/countries.json and exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/m3u-to-json.js
+ *   node scripts/m3u-to-json.js data/iptv/streams/in.m3u data/iptv/streams/us.m3u
+ *   node scripts/m3u-to-json.js --out /tmp/channels.json
+ *   node scripts/m3u-to-json.js --merge-threshold 0.9
+ *   node scripts/m3u-to-json.js --verify
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
 const fs = require('fs')
 const path = require('path')
+const { assignIds, existingFileLookup } = require('../helpers/channel-id')
+const {
+  CHANNELS_FILE,
+  ROOT_DIR,
+  TV_DIR,
+  readJson,
+  writeJson,
+} = require('../helpers/channel-store')
+const { deriveCountry, normalizeCountryCode } = require('../helpers/countries')
+const { normalizeQuality } = require('../helpers/hls')
+const {
+  collectHeaders,
+  parseCatchup,
+  parseExtinf,
+  parseOption,
+  splitStreamUrl,
+} = require('../helpers/m3u')
+const { buildSource, mergeByTvgId, rankSources } = require('../helpers/sources')
+
+// Configuration
+const CONFIG = {
+  streamsDir: path.join(ROOT_DIR, 'data', 'iptv', 'streams'),
+  outFile: CHANNELS_FILE,
+  fixtureFile: path.join(ROOT_DIR, 'fixtures', 'countries.json'),
+}
 
-function parseM3U(filePath) {
+/**
+ * Read the entries of an M3U playlist
+ * @param {string} filePath - Path to the .m3u file
+ * @returns {Object[]} - One channel per entry, without id, each with a
+ *   normalized quality and a single source whose origin is the playlist
+ *   file name
+ */
+function parseEntries(filePath) {
+  const origin = path.basename(filePath)
   const content = fs.readFileSync(filePath, 'utf-8')
   const lines = content.split('\n').map((line) => line.trim())
   const channels = []
 
-  let currentChannel = null
-  let vlcOpts = []
+  // Directives collected since the previous stream URL (#KODIPROP lines often
+  // come before #EXTINF, #EXTVLCOPT lines after it)
+  let extinf = null
+  let vlcOptions = []
+  let kodiProps = []
+  let extGroup = null
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i]
 
-    if (line.startsWith('#EXTM3U')) {
+    if (!line || line.startsWith('#EXTM3U')) {
       continue
     }
 
     if (line.startsWith('#EXTINF:')) {
-      const attributes = {}
-
-      const attrRegex = /(\w+(?:-\w+)*)="([^"]*)"/g
-      let match
-      while ((match = attrRegex.exec(line)) !== null) {
-        attributes[match[1]] = match[2]
+      extinf = parseExtinf(line)
+    } else if (line.startsWith('#EXTVLCOPT:')) {
+      vlcOptions.push(parseOption(line))
+    } else if (line.startsWith('#KODIPROP:')) {
+      kodiProps.push(parseOption(line))
+    } else if (line.startsWith('#EXTGRP:')) {
+      extGroup = line.slice('#EXTGRP:'.length).trim()
+    } else if (!line.startsWith('#') && extinf) {
+      const channel = buildChannel(
+        extinf,
+        { vlcOptions, kodiProps, extGroup },
+        line,
+      )
+      channel.sources = rankSources([buildSource(channel, origin)])
+      // tvg-country is written by export-m3u.js; upstream lists ("IN;US")
+      // and pseudo-codes ("INT") fall through to the tvgId
+      const country =
+        normalizeCountryCode(extinf.attributes['tvg-country']) ||
+        deriveCountry(channel.tvgId, filePath, channel.name)
+      if (country) {
+        channel.country = country
       }
+      channels.push(channel)
+      extinf = null
+      vlcOptions = []
+      kodiProps = []
+      extGroup = null
+    }
+  }
 
-      const commaIndex = line.indexOf(',')
-      const nameAndInfo =
-        commaIndex !== -1 ? line.substring(commaIndex + 1) : ''
-
-      const qualityMatch = nameAndInfo.match(/\((\d+p)\)/)
-      const quality = qualityMatch ? qualityMatch[1] : ''
-
-      const nameWithoutQuality = nameAndInfo
-        .replace(/\(\d+p\)/g, '')
-        .replace(/\[.*?\]/g, '')
-        .trim()
-
-      currentChannel = {
-        id: '',
-        name: nameWithoutQuality,
-        tvgId: attributes['tvg-id'] || '',
-        quality: quality,
-        streamUrl: '',
-        attributes: attributes,
-      }
+  return channels
+}
 
-      vlcOpts = []
-    }
+/**
+ * Parse an M3U playlist into channel objects (one per entry)
+ *
+ * Ids are assigned once the whole playlist is read, so name collisions are
+ * resolved across the playlist and ids already present in tv/ stay stable.
+ *
+ * @param {string} filePath - Path to the .m3u file
+ * @param {Object} options - Options
+ * @param {string} [options.tvDir] - Existing channel files (default: tv/)
+ * @returns {Object[]} - Channels
+ */
+function parseM3U(filePath, options = {}) {
+  return assignIds(parseEntries(filePath), {
+    tvDir: options.tvDir || TV_DIR,
+  })
+}
 
-    if (line.startsWith('#EXTVLCOPT:')) {
-      vlcOpts.push(line.substring(12))
-    }
+/**
+ * Parse several playlists into one channel list
+ *
+ * Entries sharing a tvgId, within or across playlists, become one channel
+ * with several sources (see helpers/sources.js), unless they belong to
+ * different existing channel files; ids are assigned afterwards.
+ *
+ * @param {string[]} filePaths - Paths to .m3u files, in order of preference
+ * @param {Object} options - Options
+ * @param {string} [options.tvDir] - Existing channel files (default: tv/)
+ * @param {number} [options.mergeThreshold] - Also merge entries the fuzzy
+ *   matcher scores at least this high (default: identical tvgIds only)
+ * @returns {Object[]} - Channels
+ */
+function parsePlaylists(filePaths, options = {}) {
+  const tvDir = options.tvDir || TV_DIR
+  const entries = filePaths.flatMap(parseEntries)
+  const merged = mergeByTvgId(entries, {
+    threshold: options.mergeThreshold,
+    fileOf: existingFileLookup(tvDir),
+  })
+  return assignIds(merged, { tvDir })
+}
 
-    if (line && !line.startsWith('#') && currentChannel) {
-      currentChannel.streamUrl = line
+/**
+ * Build a channel from one playlist entry
+ * @param {{attributes: Object, title: string}} extinf - Parsed #EXTINF line
+ * @param {Object} directives - Options collected for the entry
+ * @param {Array<[string, string]>} directives.vlcOptions - #EXTVLCOPT options
+ * @param {Array<[string, string]>} directives.kodiProps - #KODIPROP properties
+ * @param {string|null} directives.extGroup - #EXTGRP group
+ * @param {string} url - Stream URL line
+ * @returns {Object} - Channel (id is assigned later)
+ */
+function buildChannel(extinf, directives, url) {
+  const { attributes, title } = extinf
 
-      const slug = currentChannel.name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-|-$/g, '')
+  // Normalized like the sources ("(1080p)" → FHD); empty when not given
+  const qualityMatch = title.match(/\((\d+p)\)/)
+  const quality = (qualityMatch && normalizeQuality(qualityMatch[1])) || ''
 
-      currentChannel.id = slug
+  const nameWithoutQuality = title
+    .replace(/\(\d+p\)/g, '')
+    .replace(/\[.*?\]/g, '')
+    .trim()
 
-      if (vlcOpts.length > 0) {
-        currentChannel.attributes['vlc-opts'] = vlcOpts.join('; ')
-      }
+  const stream = splitStreamUrl(url)
+  const options = collectHeaders(directives.vlcOptions, directives.kodiProps)
+  const headers = { ...options.headers, ...stream.headers }
+
+  const channel = {
+    id: '',
+    name: nameWithoutQuality,
+    tvgId: attributes['tvg-id'] || '',
+    quality: quality,
+    streamUrl: stream.url,
+    attributes: attributes,
+  }
+
+  // export-m3u.js writes the categories as group-title too; only #EXTGRP
+  // holds the playlist group then
+  const groupTitle =
+    attributes['group-title'] === attributes.categories
+      ? undefined
+      : attributes['group-title']
+  const group = directives.extGroup || groupTitle
+  if (group) {
+    channel.group = group
+  }
+  if (Object.keys(headers).length > 0) {
+    channel.headers = headers
+  }
+  if (
+    attributes['tvg-shift'] !== undefined &&
+    !Number.isNaN(Number(attributes['tvg-shift']))
+  ) {
+    channel.tvgShift = Number(attributes['tvg-shift'])
+  }
+  const catchup = parseCatchup(attributes)
+  if (catchup) {
+    channel.catchup = catchup
+  }
+  if (Object.keys(options.kodiProps).length > 0) {
+    channel.kodiProps = options.kodiProps
+  }
+  if (options.vlcOptions.length > 0) {
+    attributes['vlc-opts'] = options.vlcOptions
+      .map(([key, value]) => (value ? `${key}=${value}` : key))
+      .join('; ')
+  }
+
+  return channel
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {{inputFiles: string[], outFile: string, mergeThreshold?: number,
+ *   verify: boolean, fixtureFile: string}}
+ */
+function parseArgs(argv) {
+  const options = {
+    inputFiles: [],
+    outFile: CONFIG.outFile,
+    verify: false,
+    fixtureFile: CONFIG.fixtureFile,
+  }
 
-      channels.push(currentChannel)
-      currentChannel = null
-      vlcOpts = []
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--verify') {
+      options.verify = true
+    } else if (argv[i] === '--fixture') {
+      options.fixtureFile = path.resolve(argv[++i])
+    } else if (argv[i] === '--out') {
+      options.outFile = path.resolve(argv[++i])
+    } else if (argv[i] === '--merge-threshold') {
+      options.mergeThreshold = Number(argv[++i])
+    } else {
+      options.inputFiles.push(path.resolve(argv[i]))
     }
   }
 
-  return channels
+  // Default: every country playlist in data/iptv/streams/
+  if (options.inputFiles.length === 0 && fs.existsSync(CONFIG.streamsDir)) {
+    options.inputFiles = fs
+      .readdirSync(CONFIG.streamsDir)
+      .filter((file) => file.endsWith('.m3u'))
+      .sort()
+      .map((file) => path.join(CONFIG.streamsDir, file))
+  }
+
+  return options
+}
+
+/**
+ * Check country derivation against the fixtures
+ * @param {Array<{tvgId: string, name: string, file?: string,
+ *   country: string|null}>} fixtures - Known entries and their country
+ * @returns {string[]} - Failure descriptions (empty when every fixture passes)
+ */
+function verifyFixtures(fixtures) {
+  return fixtures
+    .map((fixture) => ({
+      fixture,
+      country: deriveCountry(fixture.tvgId, fixture.file, fixture.name),
+    }))
+    .filter(({ fixture, country }) => country !== fixture.country)
+    .map(
+      ({ fixture, country }) =>
+        `${fixture.name} [${fixture.tvgId}]: expected ${fixture.country}, got ${country}`,
+    )
 }
 
 function main() {
-  const inputFile = path.join(
-    __dirname,
-    '..',
-    'data',
-    'iptv',
-    'streams',
-    'in.m3u',
-  )
-  const outputFile1 = path.join(__dirname, '..', 'in.json')
-  const outputFile2 = path.join(__dirname, '..', 'data', 'in.json')
+  const options = parseArgs(process.argv.slice(2))
 
-  console.log('Parsing M3U file:', inputFile)
-  const channels = parseM3U(inputFile)
+  if (options.verify) {
+    const fixtures = readJson(options.fixtureFile)
+    const failures = verifyFixtures(fixtures)
+    failures.forEach((failure) => {
+      console.log(`✗ ${failure}`)
+    })
+    console.log(
+      `\n📊 ${fixtures.length - failures.length}/${fixtures.length} country fixtures passed`,
+    )
+    if (failures.length > 0) {
+      process.exit(1)
+    }
+    return
+  }
 
-  console.log(`Found ${channels.length} channels`)
+  if (options.inputFiles.length === 0) {
+    console.error(`✗ No playlists found in ${CONFIG.streamsDir}`)
+    process.exit(1)
+  }
 
-  const jsonOutput = JSON.stringify(channels, null, 2)
+  options.inputFiles.forEach((inputFile) => {
+    console.log('Parsing M3U file:', inputFile)
+  })
+  const channels = parsePlaylists(options.inputFiles, {
+    mergeThreshold: options.mergeThreshold,
+  })
 
-  fs.writeFileSync(outputFile1, jsonOutput, 'utf-8')
-  console.log('Written to:', outputFile1)
+  const sourceCount = channels.reduce(
+    (sum, channel) => sum + (channel.sources?.length || 1),
+    0,
+  )
+  console.log(`Found ${channels.length} channels (${sourceCount} sources)`)
 
-  fs.writeFileSync(outputFile2, jsonOutput, 'utf-8')
-  console.log('Written to:', outputFile2)
+  const byCountry = channels.reduce((acc, channel) => {
+    const country = channel.country || 'unknown'
+    acc[country] = (acc[country] || 0) + 1
+    return acc
+  }, {})
+  console.log(
+    'Countries:',
+    Object.entries(byCountry)
+      .sort((a, b) => b[1] - a[1])
+      .map(([country, count]) => `${country} (${count})`)
+      .join(', '),
+  )
+
+  fs.mkdirSync(path.dirname(options.outFile), { recursive: true })
+  writeJson(options.outFile, channels)
+  console.log('Written to:', options.outFile)
 
   console.log('\nSample channels:')
   channels.slice(0, 3).forEach((channel) => {
@@ -109,4 +344,13 @@ function main() {
   })
 }
 
-main()
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  parseM3U,
+  parsePlaylists,
+  buildChannel,
+  verifyFixtures,
+}
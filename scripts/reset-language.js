@@ -3,11 +3,15 @@
 /**
  * Reset Language Field Script
  *
- * Resets the language field to "unknown" in:
- * - data/in.json (consolidated file)
+ * Resets the language field to "unknown" (and drops the secondary
+ * `languages`) in:
+ * - data/channels.json (consolidated file)
  * - All individual TV channel files in tv/
  * - Optionally clears the language cache
  *
+ * Channels with a language in overrides.json are set to that language
+ * instead, so manual corrections survive a reset.
+ *
  * Usage:
  *   node scripts/reset-language.js
  *   node scripts/reset-language.js --clear-cache
@@ -17,12 +21,15 @@
 
 const fs = require('fs')
 const path = require('path')
+const { CHANNELS_FILE } = require('../helpers/channel-store')
+const { CONFIG: CACHE_CONFIG } = require('../helpers/language-cache')
+const { findOverride, loadOverrides } = require('../helpers/overrides')
 
 // Configuration
 const CONFIG = {
-  dataFile: path.join(__dirname, '../data/in.json'),
+  dataFile: CHANNELS_FILE,
   tvDir: path.join(__dirname, '../tv'),
-  cacheFile: path.join(__dirname, '../.language-cache.json'),
+  cacheFile: CACHE_CONFIG.cacheFile,
   defaultLanguage: 'unknown',
 }
 
@@ -30,29 +37,55 @@ const CONFIG = {
 const args = process.argv.slice(2)
 const clearCache = args.includes('--clear-cache')
 
+/**
+ * Reset the language fields of a channel record in place
+ * @param {Object} channel - Channel record
+ * @param {Object} overrides - Manual overrides (see helpers/overrides.js)
+ * @returns {boolean} - True if the record changed
+ */
+function resetChannel(channel, overrides = loadOverrides()) {
+  const override = findOverride(channel, overrides)
+  const language = override?.language || CONFIG.defaultLanguage
+  const languages = override?.language ? override.languages : undefined
+
+  if (
+    (!channel.language && !override?.language) ||
+    (channel.language === language &&
+      JSON.stringify(channel.languages) === JSON.stringify(languages))
+  ) {
+    return false
+  }
+  channel.language = language
+  if (languages) {
+    channel.languages = languages
+  } else {
+    delete channel.languages
+  }
+  return true
+}
+
 /**
  * Reset language field in consolidated data file
  */
 function resetDataFile() {
-  console.log('\n📄 Resetting language in data/in.json...')
+  console.log('\n📄 Resetting language in data/channels.json...')
 
   try {
     const data = JSON.parse(fs.readFileSync(CONFIG.dataFile, 'utf-8'))
     let resetCount = 0
 
     for (const channel of data) {
-      if (channel.language && channel.language !== CONFIG.defaultLanguage) {
-        channel.language = CONFIG.defaultLanguage
+      if (resetChannel(channel)) {
         resetCount++
       }
     }
 
     fs.writeFileSync(CONFIG.dataFile, JSON.stringify(data, null, 2))
-    console.log(`   ✓ Reset ${resetCount} channels in data/in.json`)
+    console.log(`   ✓ Reset ${resetCount} channels in data/channels.json`)
 
     return resetCount
   } catch (error) {
-    console.error(`   ✗ Error resetting data/in.json: ${error.message}`)
+    console.error(`   ✗ Error resetting data/channels.json: ${error.message}`)
     return 0
   }
 }
@@ -76,8 +109,7 @@ function resetTvFiles() {
       try {
         const channel = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
 
-        if (channel.language && channel.language !== CONFIG.defaultLanguage) {
-          channel.language = CONFIG.defaultLanguage
+        if (resetChannel(channel)) {
           fs.writeFileSync(filePath, JSON.stringify(channel, null, 2))
           resetCount++
         }
@@ -140,9 +172,9 @@ function main() {
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
   console.log('📊 SUMMARY')
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
-  console.log(`   data/in.json:      ${dataReset} channels reset`)
-  console.log(`   tv/*.json:         ${tvReset} files reset`)
-  console.log(`   Cache cleared:     ${clearCache ? 'Yes' : 'No'}`)
+  console.log(`   data/channels.json: ${dataReset} channels reset`)
+  console.log(`   tv/*.json:          ${tvReset} files reset`)
+  console.log(`   Cache cleared:      ${clearCache ? 'Yes' : 'No'}`)
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━')
   console.log('\n✅ Reset complete! You can now run: npm run enrich\n')
 }
@@ -0,0 +1,650 @@
+#!/usr/bin/env node
+
+/**
+ * Data Validation Script
+ *
+ * Validates the data files against the JSON Schemas in schemas/:
+ * - tv/*.json against channel.schema.json
+ * - tv/language/<language>.json, tv/language/<language>/<category>.json,
+ *   tv/category/<category>.json and tv/country/<country>.json entries against
+ *   language-index-entry.schema.json
+ * - youtube-movies/<language>/*.json against movie.schema.json
+ * - overrides.json against overrides.schema.json
+ * - aliases.json against aliases.schema.json
+ *
+ * On top of the schemas it checks that:
+ * - `id` matches the filename
+ * - `language` and `languages` are keys of LANGUAGE_CODES, and `languages`
+ *   starts with `language`
+ * - `country` is an ISO 3166-1 alpha-2 code
+ * - `categoryId` and `categories` are known categories, and `categories`
+ *   starts with `categoryId`
+ * - URLs are well-formed http(s) URLs
+ * - index entries point at existing files
+ * - every override in overrides.json still matches a channel id or tvgId
+ * - every alias in aliases.json points at an existing file and no file
+ *   exists under a retired id
+ *
+ * Every violation is reported by file and field. Exits non-zero on errors.
+ *
+ * Usage:
+ *   node scripts/validate.js
+ *
+ * @author Senior Backend Automation Engineer
+ */
+
+const fs = require('fs')
+const path = require('path')
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const { CATEGORIES } = require('../helpers/categories')
+const {
+  ALIASES_FILE,
+  CATEGORY_DIR,
+  COUNTRY_DIR,
+  LANGUAGE_DIR,
+  MOVIES_DIR,
+  OVERRIDES_FILE,
+  ROOT_DIR,
+  TV_DIR,
+  listChannelIds,
+  readAllChannels,
+  readJson,
+} = require('../helpers/channel-store')
+const { normalizeCountryCode } = require('../helpers/countries')
+const { unmatchedOverrides } = require('../helpers/overrides')
+const { LANGUAGE_CODES } = require('../helpers/websearch-language-detection')
+
+const SCHEMA_DIR = path.join(ROOT_DIR, 'schemas')
+
+// Fields holding URLs, per record type
+const URL_FIELDS = ['streamUrl', 'logo', 'url']
+
+/**
+ * Compile the schemas in schemas/
+ * @returns {{channel: Function, languageIndexEntry: Function, movie: Function,
+ *   overrides: Function, aliases: Function}}
+ */
+function compileSchemas() {
+  const ajv = new Ajv({ allErrors: true })
+  addFormats(ajv)
+
+  const load = (file) => ajv.compile(readJson(path.join(SCHEMA_DIR, file)))
+
+  return {
+    channel: load('channel.schema.json'),
+    languageIndexEntry: load('language-index-entry.schema.json'),
+    movie: load('movie.schema.json'),
+    overrides: load('overrides.schema.json'),
+    aliases: load('aliases.schema.json'),
+  }
+}
+
+/**
+ * Convert ajv errors to issues
+ * @param {string} file - File path relative to the repo root
+ * @param {Array} errors - ajv error objects
+ * @param {string} prefix - Field prefix (e.g., "[3]" for array entries)
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function schemaIssues(file, errors, prefix = '') {
+  return (errors || []).map((error) => {
+    const pointer = error.instancePath.replace(/^\//, '').replace(/\//g, '.')
+    const field =
+      error.keyword === 'required'
+        ? error.params.missingProperty
+        : error.keyword === 'additionalProperties'
+          ? error.params.additionalProperty
+          : pointer
+    const message =
+      error.keyword === 'additionalProperties'
+        ? 'is not an allowed property'
+        : error.message
+    return { file, field: `${prefix}${field || '(root)'}`, message }
+  })
+}
+
+/**
+ * Check that URL fields use http or https
+ * @param {string} file - File path relative to the repo root
+ * @param {Object} record - Record to check
+ * @param {string} prefix - Field prefix
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function urlIssues(file, record, prefix = '') {
+  const issues = []
+
+  URL_FIELDS.forEach((field) => {
+    const value = record[field]
+    if (typeof value !== 'string') {
+      return
+    }
+    try {
+      const url = new URL(value)
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        issues.push({
+          file,
+          field: `${prefix}${field}`,
+          message: `must use http or https, got "${url.protocol}"`,
+        })
+      }
+    } catch {
+      // Malformed URLs are already reported by the schema's uri format
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Validate every channel file in tv/
+ * @param {Object} validators - Compiled schemas
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateChannels(validators, tvDir = TV_DIR) {
+  const issues = []
+
+  listChannelIds(tvDir).forEach((id) => {
+    const file = path.relative(ROOT_DIR, path.join(tvDir, `${id}.json`))
+    let channel
+    try {
+      channel = readJson(path.join(tvDir, `${id}.json`))
+    } catch (error) {
+      issues.push({ file, field: '(root)', message: error.message })
+      return
+    }
+
+    if (!validators.channel(channel)) {
+      issues.push(...schemaIssues(file, validators.channel.errors))
+    }
+    if (channel.id !== undefined && channel.id !== id) {
+      issues.push({
+        file,
+        field: 'id',
+        message: `"${channel.id}" does not match the filename`,
+      })
+    }
+    if (
+      typeof channel.language === 'string' &&
+      !(channel.language in LANGUAGE_CODES)
+    ) {
+      issues.push({
+        file,
+        field: 'language',
+        message: `"${channel.language}" is not a key of LANGUAGE_CODES`,
+      })
+    }
+    if (Array.isArray(channel.languages)) {
+      channel.languages
+        .filter((language) => !(language in LANGUAGE_CODES))
+        .forEach((language) => {
+          issues.push({
+            file,
+            field: 'languages',
+            message: `"${language}" is not a key of LANGUAGE_CODES`,
+          })
+        })
+      if (channel.languages[0] !== channel.language) {
+        issues.push({
+          file,
+          field: 'languages',
+          message: 'the first language must match language',
+        })
+      }
+    }
+    if (
+      typeof channel.country === 'string' &&
+      normalizeCountryCode(channel.country) !== channel.country
+    ) {
+      issues.push({
+        file,
+        field: 'country',
+        message: `"${channel.country}" is not a lowercase ISO 3166-1 alpha-2 code`,
+      })
+    }
+    if (
+      typeof channel.categoryId === 'string' &&
+      !CATEGORIES.includes(channel.categoryId)
+    ) {
+      issues.push({
+        file,
+        field: 'categoryId',
+        message: `"${channel.categoryId}" is not a known category`,
+      })
+    }
+    if (Array.isArray(channel.categories)) {
+      channel.categories
+        .filter((category) => !CATEGORIES.includes(category))
+        .forEach((category) => {
+          issues.push({
+            file,
+            field: 'categories',
+            message: `"${category}" is not a known category`,
+          })
+        })
+      if (channel.categories[0] !== channel.categoryId) {
+        issues.push({
+          file,
+          field: 'categories',
+          message: 'the first category must match categoryId',
+        })
+      }
+    }
+    issues.push(...urlIssues(file, channel))
+
+    if (Array.isArray(channel.sources)) {
+      channel.sources.forEach((source, index) => {
+        issues.push(...urlIssues(file, source, `sources[${index}].`))
+      })
+      const primary = channel.sources.find((source) => source.priority === 0)
+      if (!primary || primary.url !== channel.streamUrl) {
+        issues.push({
+          file,
+          field: 'sources',
+          message: 'the priority 0 source must match streamUrl',
+        })
+      }
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Validate a directory of <key>.json index files (entries: id, name, logo)
+ * @param {Object} validators - Compiled schemas
+ * @param {string} indexDir - Index directory
+ * @param {string} tvDir - Channel directory
+ * @param {function(string): string|null} checkKey - Returns a message when
+ *   the file name is not a valid key
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateIndexDir(validators, indexDir, tvDir, checkKey) {
+  const issues = []
+  if (!fs.existsSync(indexDir)) {
+    return issues
+  }
+
+  const channelIds = new Set(listChannelIds(tvDir))
+
+  // _meta.json and _build.json describe the indexes, they are not indexes
+  fs.readdirSync(indexDir)
+    .filter((name) => name.endsWith('.json') && !name.startsWith('_'))
+    .forEach((name) => {
+      const file = path.relative(ROOT_DIR, path.join(indexDir, name))
+      const keyMessage = checkKey(path.basename(name, '.json'))
+
+      if (keyMessage) {
+        issues.push({ file, field: '(root)', message: keyMessage })
+      }
+
+      const entries = readJson(path.join(indexDir, name))
+      if (!Array.isArray(entries)) {
+        issues.push({ file, field: '(root)', message: 'must be an array' })
+        return
+      }
+
+      entries.forEach((entry, index) => {
+        const prefix = `[${index}].`
+        if (!validators.languageIndexEntry(entry)) {
+          issues.push(
+            ...schemaIssues(file, validators.languageIndexEntry.errors, prefix),
+          )
+        }
+        if (entry.id && !channelIds.has(entry.id)) {
+          issues.push({
+            file,
+            field: `${prefix}id`,
+            message: `"${entry.id}" has no tv/${entry.id}.json`,
+          })
+        }
+        issues.push(...urlIssues(file, entry, prefix))
+      })
+    })
+
+  return issues
+}
+
+// Index key checks
+const checkLanguage = (language) =>
+  language in LANGUAGE_CODES
+    ? null
+    : `"${language}" is not a key of LANGUAGE_CODES`
+const checkCategory = (category) =>
+  CATEGORIES.includes(category) ? null : `"${category}" is not a known category`
+
+/**
+ * Validate the per-language indexes in tv/language/, including the
+ * per-language category indexes in tv/language/<language>/
+ * @param {Object} validators - Compiled schemas
+ * @param {string} languageDir - Language index directory
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateLanguageIndexes(
+  validators,
+  languageDir = LANGUAGE_DIR,
+  tvDir = TV_DIR,
+) {
+  const issues = validateIndexDir(validators, languageDir, tvDir, checkLanguage)
+  if (!fs.existsSync(languageDir)) {
+    return issues
+  }
+
+  fs.readdirSync(languageDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach(({ name: language }) => {
+      const dir = path.join(languageDir, language)
+      const message = checkLanguage(language)
+      if (message) {
+        issues.push({
+          file: path.relative(ROOT_DIR, dir),
+          field: '(root)',
+          message,
+        })
+      }
+      issues.push(...validateIndexDir(validators, dir, tvDir, checkCategory))
+    })
+
+  return issues
+}
+
+/**
+ * Validate the per-category indexes in tv/category/
+ * @param {Object} validators - Compiled schemas
+ * @param {string} categoryDir - Category index directory
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateCategoryIndexes(
+  validators,
+  categoryDir = CATEGORY_DIR,
+  tvDir = TV_DIR,
+) {
+  return validateIndexDir(validators, categoryDir, tvDir, checkCategory)
+}
+
+/**
+ * Validate the per-country indexes in tv/country/
+ * @param {Object} validators - Compiled schemas
+ * @param {string} countryDir - Country index directory
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateCountryIndexes(
+  validators,
+  countryDir = COUNTRY_DIR,
+  tvDir = TV_DIR,
+) {
+  return validateIndexDir(validators, countryDir, tvDir, (code) =>
+    normalizeCountryCode(code) === code
+      ? null
+      : `"${code}" is not a lowercase ISO 3166-1 alpha-2 code`,
+  )
+}
+
+/**
+ * Validate movie records in youtube-movies/<language>/
+ * @param {Object} validators - Compiled schemas
+ * @param {string} moviesDir - Movies directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateMovies(validators, moviesDir = MOVIES_DIR) {
+  const issues = []
+  if (!fs.existsSync(moviesDir)) {
+    return issues
+  }
+
+  fs.readdirSync(moviesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach(({ name: language }) => {
+      const languageDir = path.join(moviesDir, language)
+      const relativeDir = path.relative(ROOT_DIR, languageDir)
+
+      if (!(language in LANGUAGE_CODES)) {
+        issues.push({
+          file: relativeDir,
+          field: '(root)',
+          message: `"${language}" is not a key of LANGUAGE_CODES`,
+        })
+      }
+
+      const files = fs
+        .readdirSync(languageDir)
+        .filter((name) => name.endsWith('.json') && name !== '_meta.json')
+
+      files.forEach((name) => {
+        const file = path.join(relativeDir, name)
+        const movie = readJson(path.join(languageDir, name))
+
+        if (!validators.movie(movie)) {
+          issues.push(...schemaIssues(file, validators.movie.errors))
+        }
+        if (movie.id !== undefined && `${movie.id}.json` !== name) {
+          issues.push({
+            file,
+            field: 'id',
+            message: `"${movie.id}" does not match the filename`,
+          })
+        }
+      })
+
+      const metaFile = path.join(languageDir, '_meta.json')
+      if (fs.existsSync(metaFile)) {
+        const file = path.join(relativeDir, '_meta.json')
+        readJson(metaFile).forEach((entry, index) => {
+          if (!files.includes(`${entry.id}.json`)) {
+            issues.push({
+              file,
+              field: `[${index}].id`,
+              message: `"${entry.id}" has no ${entry.id}.json`,
+            })
+          }
+        })
+      }
+    })
+
+  return issues
+}
+
+/**
+ * Validate overrides.json
+ * @param {Object} validators - Compiled schemas
+ * @param {string} overridesFile - Overrides file
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateOverrides(
+  validators,
+  overridesFile = OVERRIDES_FILE,
+  tvDir = TV_DIR,
+) {
+  const issues = []
+  if (!fs.existsSync(overridesFile)) {
+    return issues
+  }
+
+  const file = path.relative(ROOT_DIR, overridesFile)
+  let overrides
+  try {
+    overrides = readJson(overridesFile)
+  } catch (error) {
+    return [{ file, field: '(root)', message: error.message }]
+  }
+
+  if (!validators.overrides(overrides)) {
+    return schemaIssues(file, validators.overrides.errors)
+  }
+
+  Object.entries(overrides).forEach(([key, override]) => {
+    const languages = override.languages || [override.language]
+    languages
+      .filter((language) => language && !(language in LANGUAGE_CODES))
+      .forEach((language) => {
+        issues.push({
+          file,
+          field: `${key}.${override.languages ? 'languages' : 'language'}`,
+          message: `"${language}" is not a key of LANGUAGE_CODES`,
+        })
+      })
+    if (override.languages && override.languages[0] !== override.language) {
+      issues.push({
+        file,
+        field: `${key}.languages`,
+        message: 'the first language must match language',
+      })
+    }
+
+    const categories = override.categories || [override.category]
+    categories
+      .filter((category) => category && !CATEGORIES.includes(category))
+      .forEach((category) => {
+        issues.push({
+          file,
+          field: `${key}.${override.categories ? 'categories' : 'category'}`,
+          message: `"${category}" is not a known category`,
+        })
+      })
+    if (override.categories && override.categories[0] !== override.category) {
+      issues.push({
+        file,
+        field: `${key}.categories`,
+        message: 'the first category must match category',
+      })
+    }
+    issues.push(...urlIssues(file, override, `${key}.`))
+  })
+
+  unmatchedOverrides(overrides, readAllChannels(tvDir)).forEach((key) => {
+    issues.push({
+      file,
+      field: key,
+      message: 'no channel has this id or tvgId',
+    })
+  })
+
+  return issues
+}
+
+/**
+ * Validate aliases.json
+ * @param {Object} validators - Compiled schemas
+ * @param {string} aliasesFile - Aliases file
+ * @param {string} tvDir - Channel directory
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateAliases(
+  validators,
+  aliasesFile = ALIASES_FILE,
+  tvDir = TV_DIR,
+) {
+  if (!fs.existsSync(aliasesFile)) {
+    return []
+  }
+
+  const file = path.relative(ROOT_DIR, aliasesFile)
+  let aliases
+  try {
+    aliases = readJson(aliasesFile)
+  } catch (error) {
+    return [{ file, field: '(root)', message: error.message }]
+  }
+
+  if (!validators.aliases(aliases)) {
+    return schemaIssues(file, validators.aliases.errors)
+  }
+
+  const ids = new Set(listChannelIds(tvDir))
+  const issues = []
+  Object.entries(aliases).forEach(([id, target]) => {
+    if (ids.has(id)) {
+      issues.push({
+        file,
+        field: id,
+        message: `tv/${id}.json exists, so the alias is never used`,
+      })
+    }
+    if (!ids.has(target)) {
+      issues.push({
+        file,
+        field: id,
+        message: `target "${target}" has no channel file`,
+      })
+    }
+  })
+
+  return issues
+}
+
+/**
+ * Run every validation
+ * @returns {Array<{file: string, field: string, message: string}>}
+ */
+function validateAll() {
+  const validators = compileSchemas()
+  return [
+    ...validateChannels(validators),
+    ...validateLanguageIndexes(validators),
+    ...validateCategoryIndexes(validators),
+    ...validateCountryIndexes(validators),
+    ...validateMovies(validators),
+    ...validateOverrides(validators),
+    ...validateAliases(validators),
+  ]
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  console.log(
+    '🔍 Validating tv/, tv/language/, tv/category/, tv/country/, youtube-movies/, overrides.json and aliases.json...',
+  )
+
+  const issues = validateAll()
+
+  // Group issues by file
+  const byFile = issues.reduce((acc, issue) => {
+    if (!acc[issue.file]) {
+      acc[issue.file] = []
+    }
+    acc[issue.file].push(issue)
+    return acc
+  }, {})
+
+  Object.keys(byFile)
+    .sort()
+    .forEach((file) => {
+      console.log(`\n✗ ${file}`)
+      byFile[file].forEach((issue) => {
+        console.log(`   ${issue.field}: ${issue.message}`)
+      })
+    })
+
+  console.log(`\n📊 Summary:`)
+  console.log(`   Errors: ${issues.length}`)
+  console.log(`   Files with errors: ${Object.keys(byFile).length}`)
+
+  if (issues.length > 0) {
+    process.exit(1)
+  }
+
+  console.log('\n✅ All files are valid')
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  compileSchemas,
+  validateChannels,
+  validateLanguageIndexes,
+  validateCategoryIndexes,
+  validateCountryIndexes,
+  validateMovies,
+  validateOverrides,
+  validateAliases,
+  validateAll,
+}